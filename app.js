@@ -22,6 +22,14 @@ import leadRoutes from "./routes/leadRoutes.js";
 import propertyViewsRoutes from "./routes/propertyViewsRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
 import homeVideoRoutes from "./routes/homeVideoRoutes.js";
+import mediaRoutes from "./routes/mediaRoutes.js";
+import partnerRoutes from "./routes/partnerRoutes.js";
+import scheduler from "./utils/scheduler.js";
+import { runSavedSearchDigests } from "./jobs/savedSearchDigest.js";
+import { runMediaSweep } from "./jobs/mediaSweep.js";
+import marketInsightsService from "./services/marketInsightsService.js";
+import builderStatsService from "./services/builderStatsService.js";
+import notificationService from "./services/notificationService.js";
 
 // Firebase removed - using 2Factor.in for SMS OTP
 
@@ -147,7 +155,7 @@ const corsOptions = {
     }
   },
   credentials: true, // Only allow credentials from trusted origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'],
   maxAge: 86400, // 24 hours
@@ -202,6 +210,29 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// Scheduled jobs
+if (process.env.DIGEST_SCHEDULER_ENABLED !== 'false') {
+  scheduler.dailyAt("savedSearchDigest", process.env.DIGEST_SCHEDULE_TIME || "08:00", () => runSavedSearchDigests());
+}
+// Orphaned S3 media: reports only unless MEDIA_SWEEP_MODE=delete
+if (process.env.MEDIA_SWEEP_ENABLED !== 'false') {
+  scheduler.dailyAt("mediaSweep", process.env.MEDIA_SWEEP_SCHEDULE_TIME || "03:30", () => runMediaSweep({
+    reportOnly: process.env.MEDIA_SWEEP_MODE !== 'delete',
+    graceDays: Number(process.env.MEDIA_SWEEP_GRACE_DAYS) || 7
+  }));
+}
+if (process.env.MARKET_INSIGHTS_ENABLED !== 'false') {
+  scheduler.dailyAt("marketInsights", process.env.MARKET_INSIGHTS_SCHEDULE_TIME || "04:30", () => marketInsightsService.refreshAll());
+}
+// Project stage counters depend on today's date, so they go stale without any listing changing
+if (process.env.BUILDER_STATS_ENABLED !== 'false') {
+  scheduler.dailyAt("builderStats", process.env.BUILDER_STATS_SCHEDULE_TIME || "00:15", () => builderStatsService.refreshAll());
+}
+// Notifications whose in-process delivery never ran (e.g. the server restarted first)
+if (process.env.NOTIFICATION_RETRY_ENABLED !== 'false') {
+  scheduler.every("notificationRetry", 10 * 60 * 1000, () => notificationService.deliverPending());
+}
+
 // Health check endpoint
 app.get("/healthz", (req, res) => {
   const healthStatus = monitoring.getHealthStatus();
@@ -232,6 +263,9 @@ app.use("/api/leads", leadRoutes);
 app.use("/api/property-views", propertyViewsRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/home-videos", homeVideoRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/partner/auth", authLimiter);
+app.use("/api/partner", partnerRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -249,7 +283,9 @@ app.get("/", (req, res) => {
       "2factor": "/api/2factor",
       "property-views": "/api/property-views",
       analytics: "/api/analytics",
-      "home-videos": "/api/home-videos"
+      "home-videos": "/api/home-videos",
+      media: "/api/media",
+      partner: "/api/partner"
     }
   });
 });
@@ -285,6 +321,7 @@ app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduler.stopAll();
   mongoose.connection.close(() => {
     logger.info('Database connection closed');
     process.exit(0);
@@ -293,6 +330,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  scheduler.stopAll();
   mongoose.connection.close(() => {
     logger.info('Database connection closed');
     process.exit(0);
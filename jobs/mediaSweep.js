@@ -0,0 +1,141 @@
+import MediaAsset from '../models/MediaAsset.js';
+import storageService from '../services/storageService.js';
+import mediaReferenceService from '../services/mediaReferenceService.js';
+import { ATTACHMENT_TARGETS } from '../services/mediaService.js';
+import { PRIVATE_DOCUMENT_FOLDER } from '../utils/privateDocuments.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 7;
+const DEFAULT_MAX_DELETES = 1000;
+const REPORT_SAMPLE_SIZE = 50;
+
+// Bucket prefixes the sweep looks at. Defaults to the upload folders; set MEDIA_SWEEP_PREFIXES
+// (comma separated) to include folders used before presigned uploads existed.
+export const sweepPrefixes = () => {
+  const configured = (process.env.MEDIA_SWEEP_PREFIXES || '')
+    .split(',')
+    .map(prefix => prefix.trim())
+    .filter(Boolean);
+  return configured.length
+    ? configured
+    : [...Object.values(ATTACHMENT_TARGETS).map(({ folder }) => `${folder}/`), `${PRIVATE_DOCUMENT_FOLDER}/`];
+};
+
+// When the grace period of an object starts: the latest of its upload, its asset's
+// upload/creation and the moment its document was deleted
+const graceStart = (object, asset) => {
+  const dates = [object.LastModified, asset?.uploadedAt, asset?.createdAt, asset?.detachedAt]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  return Math.max(...dates);
+};
+
+/**
+ * Find S3 objects no property (or restorable property version), builder, city or home video
+ * references any more and delete them
+ * @param {Object} options
+ * @param {boolean} options.reportOnly - Only report what would be deleted
+ * @param {number} options.graceDays - Keep objects uploaded or released less than this many days ago
+ * @param {number} options.maxDeletes - Stop deleting after this many objects (the rest wait for the next run)
+ * @param {Date} options.now
+ * @returns {Promise<Object>} - Sweep report
+ */
+export async function runMediaSweep({
+  reportOnly = true,
+  graceDays = DEFAULT_GRACE_DAYS,
+  maxDeletes = DEFAULT_MAX_DELETES,
+  now = new Date()
+} = {}) {
+  if (!storageService.isConfigured()) {
+    return { skipped: 'S3_BUCKET is not set' };
+  }
+
+  const cutoff = now.getTime() - graceDays * DAY_MS;
+  const referenced = await mediaReferenceService.collectReferencedKeys();
+
+  const report = {
+    reportOnly,
+    graceDays,
+    prefixes: sweepPrefixes(),
+    scanned: 0,
+    referenced: 0,
+    inGracePeriod: 0,
+    orphaned: 0,
+    orphanedBytes: 0,
+    deleted: 0,
+    failed: 0,
+    sample: []
+  };
+
+  for (const prefix of report.prefixes) {
+    for await (const objects of storageService.listObjectPages(prefix)) {
+      report.scanned += objects.length;
+
+      const keys = objects.map(object => object.Key);
+      const assets = await MediaAsset.find({
+        status: { $ne: 'deleted' },
+        $or: [{ key: { $in: keys } }, { 'variants.key': { $in: keys } }]
+      }).select('key status uploadedAt createdAt detachedAt variants.key').lean();
+
+      // Variants share the grace period of the image they were made from
+      const assetsByKey = new Map();
+      for (const asset of assets) {
+        assetsByKey.set(asset.key, asset);
+        for (const variant of asset.variants || []) {
+          assetsByKey.set(variant.key, asset);
+        }
+      }
+
+      const deletedKeys = [];
+      for (const object of objects) {
+        if (referenced.has(object.Key)) {
+          report.referenced++;
+          continue;
+        }
+
+        const asset = assetsByKey.get(object.Key);
+        // A pending upload may still be in flight
+        if (asset?.status === 'pending' || graceStart(object, asset) > cutoff) {
+          report.inGracePeriod++;
+          continue;
+        }
+
+        report.orphaned++;
+        report.orphanedBytes += object.Size || 0;
+        if (report.sample.length < REPORT_SAMPLE_SIZE) {
+          report.sample.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+
+        if (reportOnly || report.deleted >= maxDeletes) continue;
+
+        try {
+          await storageService.deleteObject(object.Key);
+          deletedKeys.push(object.Key);
+          report.deleted++;
+        } catch (error) {
+          report.failed++;
+          logger.error('Media sweep: failed to delete object', { key: object.Key, error: error.message });
+        }
+      }
+
+      if (deletedKeys.length) {
+        await MediaAsset.updateMany(
+          { key: { $in: deletedKeys }, status: { $ne: 'deleted' } },
+          { $set: { status: 'deleted', deletedAt: now } }
+        );
+      }
+    }
+  }
+
+  if (!reportOnly && report.orphaned > report.deleted + report.failed) {
+    logger.warn('Media sweep: delete limit reached, remaining orphans will be deleted on the next run', {
+      maxDeletes,
+      remaining: report.orphaned - report.deleted - report.failed
+    });
+  }
+
+  return report;
+}
+
+export default runMediaSweep;
@@ -0,0 +1,149 @@
+import SavedSearch from '../models/SavedSearch.js';
+import Managedproperty from '../models/property.js';
+import { User } from '../models/users.js';
+import { buildPropertyFilter, PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import emailService from '../services/emailService.js';
+import logger from '../utils/logger.js';
+
+const MAX_LISTINGS_PER_SEARCH = 10;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Placeholder addresses created at OTP sign-up (user_<phone>@urbanesta.com) can't receive mail
+const isDeliverableEmail = (email) => !!email && !/^user_\d+(_\d+)?@urbanesta\.com$/i.test(email);
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatPrice = (property) => {
+  const format = (value) => `₹${Number(value).toLocaleString('en-IN')}`;
+  if (property.type === 'builder' && typeof property.minPrice === 'number') {
+    return typeof property.maxPrice === 'number'
+      ? `${format(property.minPrice)} - ${format(property.maxPrice)}`
+      : `From ${format(property.minPrice)}`;
+  }
+  return typeof property.price === 'number' ? format(property.price) : 'Price on request';
+};
+
+const listingUrl = (property) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return property.slug ? `${baseUrl}/property/${property.slug}` : `${baseUrl}/property/${property._id}`;
+};
+
+// Render one digest email for a user's searches that have new matches
+export function renderDigest(user, sections) {
+  const total = sections.reduce((sum, section) => sum + section.total, 0);
+  const subject = `${total} new listing${total === 1 ? '' : 's'} matching your saved searches`;
+
+  const text = [
+    `Hi ${user.name || 'there'},`,
+    '',
+    ...sections.flatMap(section => [
+      `${section.search.name} (${section.total} new)`,
+      ...section.listings.map(property => `- ${property.projectName || property.title} - ${formatPrice(property)} - ${listingUrl(property)}`),
+      ''
+    ]),
+    'You can manage your saved searches from your Urbanesta account.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${escapeHtml(user.name || 'there')},</p>
+    ${sections.map(section => `
+      <h3>${escapeHtml(section.search.name)} (${section.total} new)</h3>
+      <ul>
+        ${section.listings.map(property => `
+          <li>
+            <a href="${escapeHtml(listingUrl(property))}">${escapeHtml(property.projectName || property.title)}</a>
+            - ${escapeHtml(formatPrice(property))}
+          </li>`).join('')}
+      </ul>`).join('')}
+    <p>You can manage your saved searches from your Urbanesta account.</p>`;
+
+  return { subject, text, html };
+}
+
+// Listings published after `since` that match a saved search
+export async function findNewListings(search, since) {
+  const { filter } = await buildPropertyFilter(Object.fromEntries(search.filters || []));
+  Object.assign(filter, PUBLISHED_FILTER);
+  filter.$and = [
+    ...(filter.$and || []),
+    {
+      $or: [
+        { publishedAt: { $gt: since } },
+        // Listings published before publishedAt was recorded
+        { publishedAt: null, createdAt: { $gt: since } }
+      ]
+    }
+  ];
+
+  const [listings, total] = await Promise.all([
+    Managedproperty.find(filter)
+      .select('type title projectName slug price minPrice maxPrice publishedAt createdAt')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(MAX_LISTINGS_PER_SEARCH)
+      .lean(),
+    Managedproperty.countDocuments(filter)
+  ]);
+
+  return { listings, total };
+}
+
+/**
+ * Check every active saved search for listings published since its last run and
+ * email one digest per user.
+ * @param {Object} options - now: run time (defaults to the current time)
+ * @returns {Promise<Object>} - Run summary
+ */
+export async function runSavedSearchDigests({ now = new Date() } = {}) {
+  const searches = await SavedSearch.find({ isActive: true, emailDigest: true }).sort({ user: 1 });
+  const summary = { searches: 0, users: 0, emailsSent: 0, skipped: 0, failed: 0 };
+
+  // Weekly searches only run once their week is up
+  const dueSearches = searches.filter(search => (
+    search.frequency !== 'weekly' || now - search.lastRunAt >= WEEK_MS
+  ));
+
+  const searchesByUser = new Map();
+  for (const search of dueSearches) {
+    const userId = search.user.toString();
+    if (!searchesByUser.has(userId)) searchesByUser.set(userId, []);
+    searchesByUser.get(userId).push(search);
+  }
+
+  for (const [userId, userSearches] of searchesByUser) {
+    summary.users++;
+    try {
+      const sections = [];
+      for (const search of userSearches) {
+        summary.searches++;
+        const { listings, total } = await findNewListings(search, search.lastRunAt);
+        search.lastMatchCount = total;
+        if (total > 0) sections.push({ search, listings, total });
+      }
+
+      const user = await User.findById(userId).select('name email isActive');
+      if (sections.length > 0 && user && user.isActive && isDeliverableEmail(user.email)) {
+        await emailService.sendMail({ to: user.email, ...renderDigest(user, sections) });
+        summary.emailsSent++;
+      } else if (sections.length > 0) {
+        summary.skipped++;
+      }
+
+      // Only advance the window once the digest went out (or there was nothing to send)
+      for (const search of userSearches) {
+        search.lastRunAt = now;
+        await search.save();
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Saved search digest failed for user', { userId, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+export default runSavedSearchDigests;
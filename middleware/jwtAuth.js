@@ -2,23 +2,73 @@ import jwt from 'jsonwebtoken';
 import cookie from 'cookie';
 import logger from '../utils/logger.js';
 
+// Account roles
+export const ROLES = {
+  ADMIN: 'admin',
+  AGENT: 'agent',
+  BUILDER: 'builder',
+  USER: 'user'
+};
+
+// Roles allowed for each permission
+export const PERMISSIONS = {
+  'builders:manage': [ROLES.ADMIN],
+  'categories:manage': [ROLES.ADMIN],
+  'cities:manage': [ROLES.ADMIN],
+  'homeVideos:manage': [ROLES.ADMIN],
+  'media:manageAny': [ROLES.ADMIN],
+  'properties:manageAny': [ROLES.ADMIN],
+  'properties:moderate': [ROLES.ADMIN],
+  'properties:import': [ROLES.ADMIN],
+  'properties:export': [ROLES.ADMIN],
+  'properties:viewHistory': [ROLES.ADMIN, ROLES.AGENT],
+  'users:manageRoles': [ROLES.ADMIN],
+  'leads:read': [ROLES.ADMIN, ROLES.AGENT],
+  'leads:export': [ROLES.ADMIN],
+  'leads:assign': [ROLES.ADMIN, ROLES.AGENT],
+  'leads:annotate': [ROLES.ADMIN, ROLES.AGENT],
+  'leads:manageRouting': [ROLES.ADMIN],
+  // Builder partner portal (/api/partner) - scoped to the builder linked to the account
+  'partner:access': [ROLES.BUILDER]
+};
+
+// Check whether an authenticated user has a permission
+export const hasPermission = (user, permission) => {
+  const allowedRoles = PERMISSIONS[permission] || [];
+  return !!user && allowedRoles.includes(user.role);
+};
+
+// Get token from Authorization header or cookie
+const getTokenFromRequest = (req) => {
+  // Check Authorization header first
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  // If no token in header, check cookies
+  const cookies = cookie.parse(req.headers.cookie || '');
+  return cookies.token || cookies.urbanesta_token || null;
+};
+
+// Verify a JWT and map its payload to req.user
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return {
+    id: decoded.id,
+    phoneNumber: decoded.phoneNumber,
+    email: decoded.email,
+    name: decoded.name,
+    city: decoded.city,
+    role: decoded.role || ROLES.USER,
+    builderId: decoded.builderId || null
+  };
+};
+
 // JWT Authentication Middleware
 export const authenticateJWT = (req, res, next) => {
   try {
-    // Get token from Authorization header or cookie
-    let token = null;
-    
-    // Check Authorization header first
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    }
-    
-    // If no token in header, check cookies
-    if (!token) {
-      const cookies = cookie.parse(req.headers.cookie || '');
-      token = cookies.token || cookies.urbanesta_token;
-    }
+    const token = getTokenFromRequest(req);
     
     if (!token) {
       return res.status(401).json({
@@ -28,21 +78,13 @@ export const authenticateJWT = (req, res, next) => {
       });
     }
     
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add user info to request
-    req.user = {
-      id: decoded.id,
-      phoneNumber: decoded.phoneNumber,
-      email: decoded.email,
-      name: decoded.name,
-      city: decoded.city
-    };
+    // Verify JWT token and add user info to request
+    req.user = verifyToken(token);
     
     logger.info('JWT authentication successful', { 
       userId: req.user.id, 
-      phoneNumber: req.user.phoneNumber 
+      phoneNumber: req.user.phoneNumber,
+      role: req.user.role
     });
     
     next();
@@ -71,6 +113,48 @@ export const authenticateJWT = (req, res, next) => {
   }
 };
 
+// Optional authentication - sets req.user when a valid token is present, never rejects the request
+export const optionalAuth = (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (token) {
+    try {
+      req.user = verifyToken(token);
+    } catch (error) {
+      // Treat an invalid or expired token as anonymous
+    }
+  }
+  next();
+};
+
+// Permission middleware - use after authenticateJWT
+export const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access token required. Please log in.',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      logger.warn('Permission denied', {
+        userId: req.user.id,
+        role: req.user.role,
+        permission,
+        url: req.originalUrl
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action.',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  };
+};
+
 // Generate JWT token
 export const generateToken = (user) => {
   const payload = {
@@ -78,7 +162,10 @@ export const generateToken = (user) => {
     phoneNumber: user.phoneNumber,
     email: user.email || '',
     name: user.name || '',
-    city: user.city || 'Delhi'
+    city: user.city || 'Delhi',
+    role: user.role || ROLES.USER,
+    // Builder partners only: the Builder their portal access is scoped to
+    builderId: user.builder ? (user.builder._id || user.builder).toString() : undefined
   };
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -7,6 +7,9 @@ const builderSchema = new mongoose.Schema(
     description: String,
     logo: String,
     backgroundImage: String,
+    // Floor plans, master plans and brochures of this builder's projects are only shown to
+    // signed-in users, through signed CloudFront URLs (see utils/privateDocuments.js)
+    privateDocuments: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     establishedYear: Number,
     totalProjects: Number,
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { slugify, generateUniqueSlug, uniqueSlugFromList } from "../utils/slug.js";
 
 const localitySchema = new mongoose.Schema({
   name: {
@@ -6,6 +7,18 @@ const localitySchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Unique within the city; kept stable when the locality is renamed
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs of localities merged into this one, so their old links still resolve
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -19,6 +32,11 @@ const citySchema = new mongoose.Schema({
     trim: true,
     unique: true
   },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   state: {
     type: String,
     required: true,
@@ -41,4 +59,25 @@ const citySchema = new mongoose.Schema({
   localities: [localitySchema]
 }, { timestamps: true });
 
+// Assign slugs to the city and any localities that don't have one yet
+citySchema.pre("save", async function() {
+  if (!this.slug) {
+    this.slug = await generateUniqueSlug(this.constructor, slugify(this.name) || "city", {
+      excludeId: this._id
+    });
+  }
+
+  const usedSlugs = this.localities
+    .flatMap(locality => [locality.slug, ...(locality.previousSlugs || [])])
+    .filter(Boolean);
+  for (const locality of this.localities) {
+    if (!locality.slug) {
+      locality.slug = uniqueSlugFromList(slugify(locality.name) || "locality", usedSlugs);
+      usedSlugs.push(locality.slug);
+    }
+  }
+});
+
+citySchema.index({ slug: 1 }, { unique: true, sparse: true });
+
 export default mongoose.model("City", citySchema);
@@ -62,6 +62,44 @@ const leadSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // Every (re)assignment, oldest first - by a routing rule or by hand
+  assignmentHistory: [{
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // unassigned
+    },
+    previousAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    method: {
+      type: String,
+      enum: ['rule', 'manual']
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeadRoutingRule'
+    },
+    strategy: String,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // null for automatic assignments
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: [{
     note: String,
     addedBy: {
@@ -99,6 +137,7 @@ leadSchema.index({ email: 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ propertyId: 1 });
+leadSchema.index({ assignedTo: 1, status: 1 });
 
 // Virtual for full name
 leadSchema.virtual('fullName').get(function() {
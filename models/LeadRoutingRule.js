@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Strategies for picking an agent from a rule's pool
+export const ROUTING_STRATEGIES = ['round_robin', 'least_load'];
+
+// Routing rule for new leads. Rules are tried in `order` (lowest first); the first active rule
+// whose conditions all match assigns the lead to one of its agents. An empty condition matches any lead.
+const leadRoutingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  conditions: {
+    // Lead city names (case-insensitive)
+    cities: [{ type: String, trim: true }],
+    // Builder of the lead's property
+    builders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Builder' }],
+    sources: [{ type: String, trim: true }],
+    priorities: [{ type: String, trim: true }],
+    properties: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Managedproperty' }]
+  },
+  strategy: {
+    type: String,
+    enum: ROUTING_STRATEGIES,
+    default: 'round_robin'
+  },
+  // Agent pool, in round-robin order
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Leads assigned through this rule; drives the round-robin rotation
+  assignmentCount: {
+    type: Number,
+    default: 0
+  },
+  lastAssignedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadRoutingRuleSchema.index({ isActive: 1, order: 1 });
+
+const LeadRoutingRule = mongoose.model('LeadRoutingRule', leadRoutingRuleSchema);
+
+export default LeadRoutingRule;
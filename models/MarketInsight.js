@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Cached market insights of a city (locality null) or of one of its localities.
+// Written by services/marketInsightsService.js, refreshed on a schedule.
+const marketInsightSchema = new mongoose.Schema({
+  city: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    required: true
+  },
+  // Locality _id within the city (stored as a string like Managedproperty.location)
+  locality: {
+    type: String,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+marketInsightSchema.index({ city: 1, locality: 1 }, { unique: true });
+
+const MarketInsight = mongoose.model('MarketInsight', marketInsightSchema);
+
+export default MarketInsight;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// An object uploaded to S3 through a presigned URL.
+// pending -> uploaded (object verified in S3) -> attached (referenced by a document) -> deleted
+// Deleting the document it was attached to moves it back to uploaded with detachedAt set; the orphaned
+// media sweep (jobs/mediaSweep.js) deletes it once the grace period has passed.
+const mediaAssetSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bucket: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'video', 'document'],
+    required: true
+  },
+  // Declared size at presign time; S3 enforces it through the signature
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  etag: String,
+  status: {
+    type: String,
+    enum: ['pending', 'uploaded', 'attached', 'deleted'],
+    default: 'pending'
+  },
+  // Where the upload is meant to go (validated against the allowed types for that field)
+  target: {
+    entityType: {
+      type: String,
+      enum: ['property', 'builder', 'city', 'homeVideo']
+    },
+    field: String
+  },
+  attachedTo: {
+    entityType: String,
+    entityId: mongoose.Schema.Types.ObjectId,
+    field: String
+  },
+  // Not set for images registered from existing documents (scripts/generateImageVariants.js)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Resized copies of images (see services/imageVariantService.js)
+  variants: [{
+    _id: false,
+    name: String, // thumb, card, full
+    format: String, // avif, webp, jpeg
+    width: Number,
+    height: Number,
+    key: String,
+    url: String,
+    size: Number
+  }],
+  variantStatus: {
+    type: String,
+    enum: ['none', 'processing', 'ready', 'failed'],
+    default: 'none'
+  },
+  variantError: String,
+  width: Number,
+  height: Number,
+  uploadedAt: Date,
+  attachedAt: Date,
+  detachedAt: Date,
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ uploadedBy: 1, createdAt: -1 });
+mediaAssetSchema.index({ status: 1, createdAt: 1 });
+mediaAssetSchema.index({ 'attachedTo.entityType': 1, 'attachedTo.entityId': 1 });
+mediaAssetSchema.index({ url: 1 });
+mediaAssetSchema.index({ kind: 1, variantStatus: 1 });
+
+const MediaAsset = mongoose.model('MediaAsset', mediaAssetSchema);
+
+export default MediaAsset;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Managedproperty',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['price_drop', 'status_change']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  channel: {
+    type: String,
+    default: 'log'
+  },
+  deliveryStatus: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sent', 'failed']
+  },
+  deliveryError: String,
+  sentAt: Date,
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ deliveryStatus: 1 });
+
+// Method to mark as read
+notificationSchema.methods.markRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
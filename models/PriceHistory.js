@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const PriceHistorySchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Managedproperty',
+    required: true,
+    index: true
+  },
+  // Regular properties
+  price: {
+    type: Number,
+    min: 0
+  },
+  // Builder projects
+  minPrice: {
+    type: Number,
+    min: 0
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+PriceHistorySchema.index({ propertyId: 1, recordedAt: -1 });
+
+// Static method to get the price series for a property, oldest first
+PriceHistorySchema.statics.getSeries = async function(propertyId, { from, to } = {}) {
+  try {
+    const query = { propertyId };
+    if (from || to) {
+      query.recordedAt = {};
+      if (from) query.recordedAt.$gte = from;
+      if (to) query.recordedAt.$lte = to;
+    }
+    return await this.find(query).sort({ recordedAt: 1 }).select('-__v').lean();
+  } catch (error) {
+    throw new Error(`Failed to get price history: ${error.message}`);
+  }
+};
+
+const PriceHistory = mongoose.model('PriceHistory', PriceHistorySchema);
+
+export default PriceHistory;
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+
+// Fields whose changes are recorded in the property history
+export const TRACKED_PROPERTY_FIELDS = [
+  'type',
+  'title',
+  'city',
+  'location',
+  'category',
+  'subcategory',
+  'subcategoryName',
+  'description',
+  'status',
+  'publicationStatus',
+  'googleMapUrl',
+  'geoLocation',
+  'images',
+  'projectImages',
+  'price',
+  'propertyAction',
+  'area',
+  'locality',
+  'builder',
+  'projectName',
+  'projectLogo',
+  'wallpaperImage',
+  'fullAddress',
+  'about',
+  'reraNo',
+  'minPrice',
+  'maxPrice',
+  'possessionDate',
+  'landArea',
+  'descriptionImage',
+  'highlightImage',
+  'unitDetails',
+  'unitType',
+  'areaType',
+  'highlights',
+  'connectivityPoints',
+  'floorPlan',
+  'masterPlan',
+  'brochure',
+  'attributes'
+];
+
+const PropertyHistorySchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Managedproperty',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore', 'delete'],
+    required: true
+  },
+  // Field-level diff against the previous version
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields as they were after this version
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  restoredFromVersion: Number,
+  actor: {
+    userId: String,
+    phoneNumber: String,
+    role: String,
+    source: {
+      type: String,
+      default: 'api' // api, import, system
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+PropertyHistorySchema.index({ propertyId: 1, version: -1 }, { unique: true });
+PropertyHistorySchema.index({ propertyId: 1, createdAt: -1 });
+
+// Build the actor block from an authenticated request user (req.user)
+export const actorFromUser = (user) => (
+  user
+    ? { userId: user.id, phoneNumber: user.phoneNumber, role: user.role, source: 'api' }
+    : { source: 'system' }
+);
+
+// Plain, comparable copy of the tracked fields. Empty fields are recorded as null, so a snapshot
+// tells a field that was empty apart from one that wasn't tracked yet when it was taken.
+export const snapshotProperty = (property) => {
+  const source = property.toObject ? property.toObject({ depopulate: true }) : property;
+  const snapshot = {};
+  for (const field of TRACKED_PROPERTY_FIELDS) {
+    snapshot[field] = source[field] === undefined ? null : JSON.parse(JSON.stringify(source[field]));
+  }
+  return snapshot;
+};
+
+// Field-level differences between two snapshots
+export const diffSnapshots = (before = {}, after = {}) => {
+  const changes = [];
+  for (const field of TRACKED_PROPERTY_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Field values that bring a property back to the content of a version: the tracked fields among
+ * `fields` that the snapshot recorded (null clears one that was empty then). Everything else -
+ * untracked fields, and fields tracked only since the version was written - keeps its value.
+ * @param {Object} snapshot - Snapshot of the version
+ * @param {Array<string>} fields - Fields the restore may change
+ * @returns {Object}
+ */
+export const restorableFields = (snapshot = {}, fields = TRACKED_PROPERTY_FIELDS) => {
+  const restored = {};
+  for (const field of fields) {
+    if (TRACKED_PROPERTY_FIELDS.includes(field) && Object.hasOwn(snapshot, field)) {
+      restored[field] = snapshot[field];
+    }
+  }
+  return restored;
+};
+
+// Concurrent saves of the same property may pick the same next version; the unique index
+// rejects the later one, which then retries with a fresh number
+const VERSION_WRITE_ATTEMPTS = 5;
+
+// Static method to record a version. Writes a baseline first for properties that predate history tracking.
+PropertyHistorySchema.statics.recordVersion = async function(propertyId, { action, before = null, after, actor, restoredFromVersion }) {
+  const changes = diffSnapshots(before || {}, after || {});
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ propertyId }).sort({ version: -1 }).select('version');
+    let version = latest ? latest.version : 0;
+
+    try {
+      if (!latest && before && action !== 'create') {
+        version += 1;
+        await this.create({
+          propertyId,
+          version,
+          action: 'baseline',
+          changes: [],
+          snapshot: before,
+          actor: { source: 'system' }
+        });
+      }
+
+      if (action === 'update' && changes.length === 0) {
+        return null;
+      }
+
+      return await this.create({
+        propertyId,
+        version: version + 1,
+        action,
+        changes,
+        snapshot: after || {},
+        restoredFromVersion,
+        actor
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= VERSION_WRITE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Static method to get the version that was current at a point in time
+PropertyHistorySchema.statics.getVersionAt = function(propertyId, date) {
+  return this.findOne({ propertyId, createdAt: { $lte: date } }).sort({ version: -1 });
+};
+
+const PropertyHistory = mongoose.model('PropertyHistory', PropertyHistorySchema);
+
+export default PropertyHistory;
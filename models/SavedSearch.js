@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Listing filters that can be saved - same names as the GET /api/properties query parameters
+export const SAVED_SEARCH_FILTER_FIELDS = [
+  'type',
+  'city',
+  'category',
+  'subcategory',
+  'builder',
+  'propertyAction',
+  'priceMin',
+  'priceMax',
+  'areaMin',
+  'areaMax',
+  'bhk',
+  'possessionBefore',
+  'possessionAfter'
+];
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Stored as query-string values so they can be passed straight to buildPropertyFilter
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  emailDigest: {
+    type: Boolean,
+    default: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    default: 'daily'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last time the digest job checked this search for new listings
+  lastRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, emailDigest: 1, lastRunAt: 1 });
+
+// Pick only the supported filter values from a request body
+savedSearchSchema.statics.pickFilters = function(filters = {}) {
+  const picked = {};
+  for (const field of SAVED_SEARCH_FILTER_FIELDS) {
+    const value = filters[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      picked[field] = String(value).trim();
+    }
+  }
+  return picked;
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
@@ -1,5 +1,17 @@
 // backend/models/Category.js
 import mongoose from "mongoose";
+import { ATTRIBUTE_TYPES } from "../utils/propertyAttributes.js";
+
+// Typed listing attribute of a subcategory (e.g. floorNumber, facing, furnishing).
+// Property values are stored in Managedproperty.attributes under `name`.
+const AttributeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  label: { type: String, trim: true },
+  type: { type: String, enum: ATTRIBUTE_TYPES, required: true },
+  unit: { type: String, trim: true },
+  options: [{ type: String, trim: true }], // enum values
+  required: { type: Boolean, default: false }
+}, { _id: false });
 
 const CategorySchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -7,7 +19,8 @@ const CategorySchema = new mongoose.Schema({
   deepSubcategories: [{
     _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
     name: { type: String, required: true },
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    attributes: [AttributeSchema]
   }],
   createdAt: { type: Date, default: Date.now }
 });
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { parseMapUrlCoordinates } from '../utils/geo.js';
+import { composeSlug, generateUniqueSlug } from '../utils/slug.js';
+import City from './City.js';
+import PropertyHistory, { snapshotProperty } from './PropertyHistory.js';
+import logger from '../utils/logger.js';
+import priceWatchService from '../services/priceWatchService.js';
+import builderStatsService from '../services/builderStatsService.js';
 
 const ManagedpropertySchema = new mongoose.Schema({
   // Common fields for both regular and builder properties
@@ -12,6 +19,18 @@ const ManagedpropertySchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // SEO-friendly URL slug built from name, locality and city; regenerated on rename
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs used before a rename, kept so old links can redirect
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   city: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'City',
@@ -46,10 +65,53 @@ const ManagedpropertySchema = new mongoose.Schema({
     enum: ['available', 'sold', 'rented'],
     default: 'available'
   },
+  // Publication workflow, separate from the sales status above.
+  // Set explicitly on create; listings created before the workflow existed have no value
+  // and are treated as published.
+  publicationStatus: {
+    type: String,
+    enum: ['draft', 'pending_review', 'published', 'rejected', 'archived']
+  },
+  submittedAt: Date,
+  publishedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewComment: {
+    type: String,
+    trim: true
+  },
+  publicationHistory: [{
+    action: String,
+    fromStatus: String,
+    toStatus: String,
+    comment: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   googleMapUrl: {
     type: String,
     trim: true
   },
+  // GeoJSON point [longitude, latitude]; parsed from googleMapUrl when not set explicitly
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   images: [{
     type: String, // URLs of uploaded images
     trim: true
@@ -173,6 +235,20 @@ const ManagedpropertySchema = new mongoose.Schema({
     type: String, // URL of uploaded master plan
     trim: true
   },
+  brochure: {
+    type: String, // URL of uploaded brochure PDF
+    trim: true
+  },
+  // Values of the subcategory's attributes keyed by attribute name (see utils/propertyAttributes.js)
+  attributes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Derived numeric area range (sq ft) used by the listing range filters.
+  // Set from `area` (regular) or the unitDetails areas (builder) on save.
+  areaRange: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  },
   // User association fields
   createdBy: {
     type: String, // User ID
@@ -181,17 +257,216 @@ const ManagedpropertySchema = new mongoose.Schema({
   createdByPhone: {
     type: String, // User's phone number
     required: true
+  },
+  // Reference from the source spreadsheet; bulk imports create or update by it
+  externalRef: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
+// Extract the numbers from an area string such as "1,250 - 1,800 sq ft"
+const parseAreaNumbers = (value) => (
+  String(value || '')
+    .replace(/,/g, '')
+    .match(/\d+(\.\d+)?/g) || []
+).map(Number).filter(number => number > 0);
+
+// Keep the derived area range in sync with the area fields
+ManagedpropertySchema.pre('save', function(next) {
+  const areas = this.type === 'builder'
+    ? (this.unitDetails || []).flatMap(unit => parseAreaNumbers(unit.area))
+    : (this.area ? [this.area] : []);
+
+  this.areaRange = areas.length
+    ? { min: Math.min(...areas), max: Math.max(...areas) }
+    : undefined;
+  next();
+});
+
+// Fill geoLocation from googleMapUrl when the URL changes or no coordinates are stored yet.
+// Unparseable URLs (e.g. short links) leave any existing coordinates untouched.
+ManagedpropertySchema.pre('save', function(next) {
+  const hasCoordinates = this.geoLocation && this.geoLocation.coordinates && this.geoLocation.coordinates.length === 2;
+  if (this.isModified('geoLocation') || (hasCoordinates && !this.isModified('googleMapUrl'))) {
+    return next();
+  }
+
+  const point = parseMapUrlCoordinates(this.googleMapUrl);
+  if (point) {
+    this.geoLocation = point;
+  } else if (!hasCoordinates) {
+    this.geoLocation = undefined;
+  }
+  next();
+});
+
+// Generate the slug for new listings (or legacy ones without a slug) and regenerate it
+// when the name, locality or city changes, keeping the old slug for redirects
+ManagedpropertySchema.pre('save', async function() {
+  const slugSourceChanged = ['title', 'projectName', 'location', 'city'].some(path => this.isModified(path));
+  if (this.slug && (this.isNew || !slugSourceChanged)) return;
+
+  const cityDoc = this.city ? await City.findById(this.city).select('name localities') : null;
+  const locality = cityDoc && this.location
+    ? cityDoc.localities.find(loc => loc._id.toString() === this.location)
+    : null;
+
+  const base = composeSlug(
+    this.projectName || this.title,
+    locality ? locality.name : this.locality,
+    cityDoc ? cityDoc.name : ''
+  ) || 'property';
+  // Unchanged base (possibly with a -2 style suffix) keeps the current slug
+  if (this.slug && new RegExp(`^${base}(-\\d+)?$`).test(this.slug)) return;
+
+  const slug = await generateUniqueSlug(this.constructor, base, {
+    excludeId: this._id,
+    fields: ['slug', 'previousSlugs']
+  });
+
+  if (this.slug && this.slug !== slug) {
+    this.previousSlugs = [...new Set([...(this.previousSlugs || []), this.slug])];
+  }
+  this.slug = slug;
+});
+
+// Allowed publication workflow transitions
+export const PUBLICATION_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending_review' },
+  approve: { from: ['pending_review'], to: 'published' },
+  reject: { from: ['pending_review'], to: 'rejected' },
+  archive: { from: ['draft', 'pending_review', 'published', 'rejected'], to: 'archived' },
+  restore: { from: ['archived'], to: 'draft' }
+};
+
+// Record submission / publication timestamps when the publication status changes
+ManagedpropertySchema.pre('save', function(next) {
+  if (this.isModified('publicationStatus')) {
+    if (this.publicationStatus === 'pending_review') this.submittedAt = new Date();
+    if (this.publicationStatus === 'published' && !this.publishedAt) this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Set the publication status directly and record it in the history (used on create and edit)
+ManagedpropertySchema.methods.setPublicationStatus = function(toStatus, { action, userId = null, comment = '' } = {}) {
+  const fromStatus = this.publicationStatus || 'published';
+  this.publicationStatus = toStatus;
+  this.publicationHistory.push({ action, fromStatus, toStatus, comment, by: userId, at: new Date() });
+  return this;
+};
+
+// Send a live (or rejected) listing back to review after an edit by a non-moderator
+ManagedpropertySchema.methods.requeueForReview = function(userId) {
+  if (['published', 'rejected', undefined].includes(this.publicationStatus)) {
+    this.setPublicationStatus('pending_review', { action: 'resubmit', userId });
+  }
+  return this;
+};
+
+// Apply a workflow action; throws with statusCode 409 when the transition isn't allowed
+ManagedpropertySchema.methods.transitionPublication = function(action, { userId = null, comment = '' } = {}) {
+  const transition = PUBLICATION_TRANSITIONS[action];
+  const fromStatus = this.publicationStatus || 'published';
+
+  if (!transition || !transition.from.includes(fromStatus)) {
+    const error = new Error(`Cannot ${action} a listing that is ${fromStatus}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (action === 'approve' || action === 'reject') {
+    this.reviewedAt = new Date();
+    this.reviewedBy = userId;
+    this.reviewComment = comment;
+  }
+
+  return this.setPublicationStatus(transition.to, { action, userId, comment });
+};
+
+// Change history and price tracking: keep the loaded state so every save can be recorded
+// as a versioned diff, added to the price series and checked for watchlist alerts.
+// Builder project statistics are refreshed from the same before/after snapshots.
+// Routes set this.$locals.actor (and historyAction / restoredFromVersion for restores).
+// The raw loaded data is kept by reference and only hydrated into a snapshot on save, so reads
+// pay nothing; Mixed fields (attributes) must be reassigned, not mutated in place.
+ManagedpropertySchema.pre('init', function(raw) {
+  this.$locals.loadedState = raw;
+});
+
+ManagedpropertySchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+ManagedpropertySchema.post('save', async function() {
+  const after = snapshotProperty(this);
+  const { historySnapshot, loadedState } = this.$locals;
+  const before = this.$locals.wasNew
+    ? null
+    : historySnapshot || (loadedState ? snapshotProperty(this.constructor.hydrate(loadedState)) : null);
+  try {
+    await PropertyHistory.recordVersion(this._id, {
+      action: this.$locals.historyAction || (this.$locals.wasNew ? 'create' : 'update'),
+      before,
+      after,
+      actor: this.$locals.actor || { source: 'system' },
+      restoredFromVersion: this.$locals.restoredFromVersion
+    });
+  } catch (error) {
+    // History must never fail the save itself
+    logger.error('Failed to record property history', { propertyId: this._id.toString(), error: error.message });
+  }
+
+  try {
+    await priceWatchService.handlePropertySaved(this, before, after);
+  } catch (error) {
+    logger.error('Failed to process price watch', { propertyId: this._id.toString(), error: error.message });
+  }
+
+  // Logs its own failures - statistics must never fail the save either
+  await builderStatsService.handlePropertySaved(before, after);
+
+  this.$locals.historySnapshot = after;
+  delete this.$locals.historyAction;
+  delete this.$locals.restoredFromVersion;
+});
+
 // Index for better query performance
 ManagedpropertySchema.index({ type: 1, status: 1 });
+ManagedpropertySchema.index({ type: 1, price: 1 });
+ManagedpropertySchema.index({ type: 1, minPrice: 1, maxPrice: 1 });
+ManagedpropertySchema.index({ 'areaRange.min': 1, 'areaRange.max': 1 });
+ManagedpropertySchema.index({ geoLocation: '2dsphere' });
+ManagedpropertySchema.index({ slug: 1 }, { unique: true, sparse: true });
+ManagedpropertySchema.index({ previousSlugs: 1 });
+ManagedpropertySchema.index({ publicationStatus: 1, submittedAt: 1 });
 ManagedpropertySchema.index({ city: 1 });
+ManagedpropertySchema.index({ location: 1 });
+ManagedpropertySchema.index({ builder: 1 });
+// Candidates for GET /api/properties/search (weights follow the search ranking; no stemming, so
+// place and project names are indexed as written)
+ManagedpropertySchema.index({
+  title: 'text',
+  projectName: 'text',
+  locality: 'text',
+  unitType: 'text',
+  'unitDetails.unitType': 'text',
+  highlights: 'text',
+  about: 'text',
+  description: 'text'
+}, {
+  name: 'property_search',
+  default_language: 'none',
+  weights: { title: 10, projectName: 10, locality: 8, unitType: 5, 'unitDetails.unitType': 5, highlights: 4, about: 2, description: 2 }
+});
 ManagedpropertySchema.index({ category: 1, subcategory: 1 });
 ManagedpropertySchema.index({ createdBy: 1 });
 ManagedpropertySchema.index({ createdByPhone: 1 });
+ManagedpropertySchema.index({ externalRef: 1 }, { unique: true, sparse: true });
 
 // Virtual field to check if it's a builder property
 ManagedpropertySchema.virtual('isBuilder').get(function() {
@@ -26,6 +26,16 @@ const userSchema = new mongoose.Schema(
       sparse: true, // Allows multiple null values but ensures uniqueness for non-null values
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address'],
     },
+    role: {
+      type: String,
+      enum: ['admin', 'agent', 'builder', 'user'],
+      default: 'user',
+    },
+    // Builder partners (role "builder"): the builder whose listings and leads they can access
+    builder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Builder',
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -49,6 +59,20 @@ const userSchema = new mongoose.Schema(
         ref: 'Managedproperty',
       },
     ],
+    // Most recent first, capped at MAX_RECENTLY_VIEWED (used for recommendations)
+    recentlyViewed: [
+      {
+        _id: false,
+        property: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Managedproperty',
+        },
+        viewedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { 
     timestamps: true,
@@ -66,5 +90,25 @@ userSchema.virtual('formattedPhone').get(function() {
 userSchema.index({ phoneNumber: 1 });
 userSchema.index({ name: 1 });
 userSchema.index({ city: 1 });
+userSchema.index({ role: 1 });
+
+export const MAX_RECENTLY_VIEWED = 50;
+
+// Static method to move a property to the front of the user's recently viewed list
+userSchema.statics.recordPropertyView = async function(userId, propertyId) {
+  await this.updateOne({ _id: userId }, { $pull: { recentlyViewed: { property: propertyId } } });
+  await this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        recentlyViewed: {
+          $each: [{ property: propertyId, viewedAt: new Date() }],
+          $position: 0,
+          $slice: MAX_RECENTLY_VIEWED
+        }
+      }
+    }
+  );
+};
 
 export const User = mongoose.model('User', userSchema);
\ No newline at end of file
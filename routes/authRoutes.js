@@ -2,6 +2,7 @@ import express from 'express';
 import { User } from '../models/users.js'; // Named export from lowercase users.js
 import Lead from '../models/Lead.js'; // Default export
 import twoFactorService from '../services/twoFactorService.js';
+import leadAssignmentService from '../services/leadAssignmentService.js';
 import { generateToken, generateRefreshToken } from '../middleware/jwtAuth.js';
 import logger from '../utils/logger.js';
 
@@ -331,6 +332,7 @@ router.post('/verify-otp', async (req, res) => {
       });
       await lead.save();
       logger.info(`✅ Lead created: ${lead._id} for property: ${propertyName || 'N/A'}`);
+      leadAssignmentService.queueNewLead(lead);
     } catch (leadError) {
       logger.error('Error creating lead:', {
         error: leadError.message,
@@ -1,9 +1,66 @@
 import express from "express";
+import mongoose from "mongoose";
 import Builder from "../models/Builder.js";
+import { authenticateJWT, authorize } from "../middleware/jwtAuth.js";
+import { actorFromUser } from "../models/PropertyHistory.js";
 import { convertToCloudFrontUrl } from "../utils/cloudfront.js";
+import { addImageSets, BUILDER_IMAGE_FIELDS } from "../utils/imageSets.js";
+import { slugify, generateUniqueSlug } from "../utils/slug.js";
+import builderStatsService from "../services/builderStatsService.js";
+import taxonomyService from "../services/taxonomyService.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
 
+const requireBuilderAdmin = [authenticateJWT, authorize("builders:manage")];
+
+// Fields admins can set. properties, locations and the project counters are derived from
+// the builder's listings (services/builderStatsService.js) and ignored when sent.
+const EDITABLE_BUILDER_FIELDS = [
+  "name",
+  "slug",
+  "description",
+  "logo",
+  "backgroundImage",
+  "privateDocuments",
+  "isActive",
+  "establishedYear",
+  "specialties",
+  "awards",
+  "website",
+  "contactInfo",
+  "displayOrder",
+  "headquarters"
+];
+
+const pickBuilderFields = (body = {}) => Object.fromEntries(
+  EDITABLE_BUILDER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Resolve the requested slug (or one generated from the name); 409 when another builder has it
+const resolveSlug = async (requested, name, excludeId) => {
+  if (requested === undefined || requested === null || requested === "") {
+    return { slug: await generateUniqueSlug(Builder, slugify(name) || "builder", { excludeId }) };
+  }
+  const slug = slugify(requested);
+  if (!slug) {
+    return { error: "Slug must contain letters or numbers", status: 400 };
+  }
+  const query = { slug };
+  if (excludeId) query._id = { $ne: excludeId };
+  if (await Builder.exists(query)) {
+    return { error: `Slug "${slug}" is already used by another builder`, status: 409 };
+  }
+  return { slug };
+};
+
+// Mongoose validation and duplicate key errors are the client's fault
+const writeErrorStatus = (err) => {
+  if (err.code === 11000) return 409;
+  if (err.name === "ValidationError" || err.name === "CastError") return 400;
+  return 500;
+};
+
 // Get all builders
 router.get("/", async (req, res) => {
   try {
@@ -16,6 +73,7 @@ router.get("/", async (req, res) => {
         backgroundImage: builder.backgroundImage ? convertToCloudFrontUrl(builder.backgroundImage) : "",
       };
     });
+    await addImageSets(buildersWithCloudFrontUrls, BUILDER_IMAGE_FIELDS);
     res.json(buildersWithCloudFrontUrls);
   } catch (err) {
     console.error("Error fetching builders:", err);
@@ -37,10 +95,103 @@ router.get("/:slug", async (req, res) => {
       logo: builder.logo ? convertToCloudFrontUrl(builder.logo) : "",
       backgroundImage: builder.backgroundImage ? convertToCloudFrontUrl(builder.backgroundImage) : "",
     };
+    await addImageSets(responseBuilder, BUILDER_IMAGE_FIELDS);
     res.json(responseBuilder);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Create a builder
+router.post("/", requireBuilderAdmin, async (req, res) => {
+  try {
+    const data = pickBuilderFields(req.body);
+    if (!data.name || !String(data.name).trim()) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+
+    const { slug, error, status } = await resolveSlug(data.slug, data.name);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const builder = new Builder({ ...data, slug });
+    await builder.save();
+
+    logger.info("Builder created", { builderId: builder._id.toString(), slug, userId: req.user.id });
+    res.status(201).json(builder);
+  } catch (err) {
+    res.status(writeErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Update a builder (the slug only changes when one is sent)
+router.put("/:id", requireBuilderAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid builder ID" });
+    }
+    const builder = await Builder.findById(req.params.id);
+    if (!builder) {
+      return res.status(404).json({ error: "Builder not found" });
+    }
+
+    const data = pickBuilderFields(req.body);
+    if (data.slug !== undefined && data.slug !== builder.slug) {
+      const { slug, error, status } = await resolveSlug(data.slug, data.name || builder.name, builder._id);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      data.slug = slug;
+    } else {
+      delete data.slug;
+    }
+
+    builder.set(data);
+    await builder.save();
+
+    logger.info("Builder updated", { builderId: builder._id.toString(), fields: Object.keys(data), userId: req.user.id });
+    res.json(builder);
+  } catch (err) {
+    res.status(writeErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Recompute the derived counters, properties and locations of a builder
+router.post("/:id/refresh-stats", requireBuilderAdmin, async (req, res) => {
+  try {
+    const stats = await builderStatsService.refresh(req.params.id);
+    if (!stats) {
+      return res.status(404).json({ error: "Builder not found" });
+    }
+    res.json(await Builder.findById(req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a builder. Refused while partner accounts are linked to it, and while listings
+// use it unless ?replacementBuilderId= names the builder to move them to
+router.delete("/:id", requireBuilderAdmin, async (req, res) => {
+  try {
+    const { deleted, moved, failed } = await taxonomyService.deleteBuilder(req.params.id, {
+      replacementBuilderId: req.query.replacementBuilderId,
+      actor: actorFromUser(req.user)
+    });
+    if (!deleted) {
+      return res.status(500).json({
+        error: "Some properties could not be moved - the builder was kept so the delete can be retried",
+        moved,
+        failed
+      });
+    }
+    res.json({ message: "Builder deleted successfully", moved });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      error: err.message,
+      ...(err.dependents && { dependents: err.dependents })
+    });
+  }
+});
+
 export default router;
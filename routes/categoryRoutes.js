@@ -1,12 +1,58 @@
 // backend/routes/categoryRoutes.js
 import express from "express";
 import Category from "../models/category.js";
+import mongoose from "mongoose";
+import { authenticateJWT, authorize } from "../middleware/jwtAuth.js";
+import { actorFromUser } from "../models/PropertyHistory.js";
+import taxonomyService from "../services/taxonomyService.js";
+import { validateAttributeDefinitions } from "../utils/propertyAttributes.js";
 
 const router = express.Router();
 
+const requireCategoryAdmin = [authenticateJWT, authorize("categories:manage")];
+
+// Fields admins can set. Subcategories are saved as a whole list; dropping one that
+// properties still use is refused - DELETE /:id/subcategories/:subId can move them first.
+const EDITABLE_CATEGORY_FIELDS = ["name", "isActive", "deepSubcategories"];
+
+const pickCategoryFields = (body = {}) => Object.fromEntries(
+  EDITABLE_CATEGORY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Mongoose validation and cast errors are the client's fault
+const writeErrorStatus = (err) => {
+  if (err.statusCode) return err.statusCode;
+  if (err.name === "ValidationError" || err.name === "CastError") return 400;
+  return 500;
+};
+
+// Refused writes (409) list the properties that still use the category
+const sendWriteError = (res, err) => {
+  res.status(writeErrorStatus(err)).json({
+    error: err.message,
+    ...(err.dependents && { dependents: err.dependents })
+  });
+};
+
+// Attribute schema errors of the subcategories in a category body
+const categoryAttributeErrors = (body = {}) => (
+  Array.isArray(body.deepSubcategories)
+    ? body.deepSubcategories.flatMap((subcategory, index) => (
+      validateAttributeDefinitions(subcategory?.attributes, `deepSubcategories[${index}].attributes`)
+    ))
+    : []
+);
+
+const sendAttributeErrors = (res, details) => (
+  res.status(400).json({ error: "Invalid attribute schema", details })
+);
+
 // ✅ Create a new category
-router.post("/", async (req, res) => {
+router.post("/", requireCategoryAdmin, async (req, res) => {
   try {
+    const attributeErrors = categoryAttributeErrors(req.body);
+    if (attributeErrors.length > 0) return sendAttributeErrors(res, attributeErrors);
+
     const category = new Category(req.body);
     await category.save();
     res.status(201).json(category);
@@ -37,34 +83,60 @@ router.get("/:id", async (req, res) => {
 });
 
 // ✅ Update a category
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireCategoryAdmin, async (req, res) => {
   try {
-    const category = await Category.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true } // returns updated doc
-    );
+    const data = pickCategoryFields(req.body);
+    if (data.deepSubcategories !== undefined && !Array.isArray(data.deepSubcategories)) {
+      return res.status(400).json({ error: "deepSubcategories must be an array" });
+    }
+    const attributeErrors = categoryAttributeErrors(data);
+    if (attributeErrors.length > 0) return sendAttributeErrors(res, attributeErrors);
+
+    const category = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Category.findById(req.params.id)
+      : null;
     if (!category) return res.status(404).json({ error: "Category not found" });
+
+    if (data.deepSubcategories) {
+      await taxonomyService.assertSubcategoriesKept(category, data.deepSubcategories);
+    }
+
+    category.set(data);
+    await category.save();
     res.json(category);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendWriteError(res, err);
   }
 });
 
 // ✅ Delete a category
-router.delete("/:id", async (req, res) => {
+// Refused while properties use it, unless ?replacementCategoryId=&replacementSubcategoryId= name where to move them
+router.delete("/:id", requireCategoryAdmin, async (req, res) => {
   try {
-    const category = await Category.findByIdAndDelete(req.params.id);
-    if (!category) return res.status(404).json({ error: "Category not found" });
-    res.json({ message: "Category deleted successfully" });
+    const { deleted, moved, failed } = await taxonomyService.deleteCategory(req.params.id, {
+      replacementCategoryId: req.query.replacementCategoryId,
+      replacementSubcategoryId: req.query.replacementSubcategoryId,
+      actor: actorFromUser(req.user)
+    });
+    if (!deleted) {
+      return res.status(500).json({
+        error: "Some properties could not be moved - the category was kept so the delete can be retried",
+        moved,
+        failed
+      });
+    }
+    res.json({ message: "Category deleted successfully", moved });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendWriteError(res, err);
   }
 });
 
-// ✅ Add subcategory to a category
-router.post("/:id/subcategories", async (req, res) => {
+// ✅ Add subcategory to a category (with its listing attribute schema in `attributes`)
+router.post("/:id/subcategories", requireCategoryAdmin, async (req, res) => {
   try {
+    const attributeErrors = validateAttributeDefinitions(req.body?.attributes);
+    if (attributeErrors.length > 0) return sendAttributeErrors(res, attributeErrors);
+
     const category = await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ error: "Category not found" });
     
@@ -77,8 +149,11 @@ router.post("/:id/subcategories", async (req, res) => {
 });
 
 // ✅ Update subcategory
-router.put("/:id/subcategories/:subId", async (req, res) => {
+router.put("/:id/subcategories/:subId", requireCategoryAdmin, async (req, res) => {
   try {
+    const attributeErrors = validateAttributeDefinitions(req.body?.attributes);
+    if (attributeErrors.length > 0) return sendAttributeErrors(res, attributeErrors);
+
     const category = await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ error: "Category not found" });
     
@@ -94,16 +169,25 @@ router.put("/:id/subcategories/:subId", async (req, res) => {
 });
 
 // ✅ Delete subcategory
-router.delete("/:id/subcategories/:subId", async (req, res) => {
+// Refused while properties use it, unless ?replacementSubcategoryId= (optionally with
+// &replacementCategoryId= for a subcategory of another category) names where to move them
+router.delete("/:id/subcategories/:subId", requireCategoryAdmin, async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
-    if (!category) return res.status(404).json({ error: "Category not found" });
-    
-    category.deepSubcategories.pull(req.params.subId);
-    await category.save();
+    const { deleted, moved, failed, category } = await taxonomyService.deleteSubcategory(req.params.id, req.params.subId, {
+      replacementCategoryId: req.query.replacementCategoryId,
+      replacementSubcategoryId: req.query.replacementSubcategoryId,
+      actor: actorFromUser(req.user)
+    });
+    if (!deleted) {
+      return res.status(500).json({
+        error: "Some properties could not be moved - the subcategory was kept so the delete can be retried",
+        moved,
+        failed
+      });
+    }
     res.json(category);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendWriteError(res, err);
   }
 });
 
@@ -1,9 +1,75 @@
 import express from "express";
+import mongoose from "mongoose";
 import City from "../models/City.js";
+import { authenticateJWT, authorize } from "../middleware/jwtAuth.js";
+import { actorFromUser } from "../models/PropertyHistory.js";
 import { convertToCloudFrontUrl } from "../utils/cloudfront.js";
+import { addImageSets, CITY_IMAGE_FIELDS } from "../utils/imageSets.js";
+import { escapeRegex } from "../utils/search.js";
+import taxonomyService from "../services/taxonomyService.js";
+import marketInsightsService from "../services/marketInsightsService.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
 
+const requireCityAdmin = [authenticateJWT, authorize("cities:manage")];
+
+// Fields admins can set on a city (slugs are generated once and kept stable)
+const EDITABLE_CITY_FIELDS = ["name", "state", "country", "backgroundImage", "isActive"];
+
+const pickCityFields = (body = {}) => Object.fromEntries(
+  EDITABLE_CITY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Case-insensitive name clash with another city
+const cityNameTaken = (name, excludeId) => {
+  const query = { name: new RegExp(`^${escapeRegex(String(name).trim())}$`, "i") };
+  if (excludeId) query._id = { $ne: excludeId };
+  return City.exists(query);
+};
+
+// Case-insensitive name clash with another locality of the same city
+const localityNameTaken = (city, name, excludeId) => city.localities.some(locality => (
+  locality.name.toLowerCase() === String(name).trim().toLowerCase() &&
+  (!excludeId || locality._id.toString() !== excludeId)
+));
+
+// Load a city for an admin route, answering 400/404 itself when there is none
+const loadCity = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: "Invalid city ID" });
+    return null;
+  }
+  const city = await City.findById(req.params.id);
+  if (!city) {
+    res.status(404).json({ error: "City not found" });
+    return null;
+  }
+  return city;
+};
+
+const loadLocality = (city, req, res) => {
+  const locality = mongoose.Types.ObjectId.isValid(req.params.localityId)
+    ? city.localities.id(req.params.localityId)
+    : null;
+  if (!locality) {
+    res.status(404).json({ error: "Locality not found" });
+    return null;
+  }
+  return locality;
+};
+
+// Localities stored before the flag existed count as active
+const isActiveLocality = (locality) => locality.isActive !== false;
+
+// Mongoose validation and duplicate key errors are the client's fault
+const writeErrorStatus = (err) => {
+  if (err.statusCode) return err.statusCode;
+  if (err.code === 11000) return 409;
+  if (err.name === "ValidationError" || err.name === "CastError") return 400;
+  return 500;
+};
+
 // Get all cities
 router.get("/", async (req, res) => {
   try {
@@ -14,6 +80,7 @@ router.get("/", async (req, res) => {
       ...city.toObject(),
       backgroundImage: convertToCloudFrontUrl(city.backgroundImage)
     }));
+    await addImageSets(citiesWithCloudFrontUrls, CITY_IMAGE_FIELDS);
     
     res.json(citiesWithCloudFrontUrls);
   } catch (error) {
@@ -23,6 +90,89 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Get single city by slug (public - deactivated cities and localities are left out)
+router.get("/slug/:slug", async (req, res) => {
+  try {
+    const city = await City.findOne({ slug: req.params.slug.toLowerCase(), isActive: { $ne: false } });
+    if (!city) {
+      return res.status(404).json({ error: "City not found" });
+    }
+
+    res.json(await addImageSets({
+      ...city.toObject(),
+      localities: city.localities.filter(isActiveLocality).map(locality => locality.toObject()),
+      backgroundImage: convertToCloudFrontUrl(city.backgroundImage)
+    }, CITY_IMAGE_FIELDS));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a locality by city slug and locality slug (public - deactivated ones are not found)
+router.get("/slug/:slug/localities/:localitySlug", async (req, res) => {
+  try {
+    const city = await City.findOne({ slug: req.params.slug.toLowerCase(), isActive: { $ne: false } });
+    const localitySlug = req.params.localitySlug.toLowerCase();
+    const localities = city ? city.localities.filter(isActiveLocality) : [];
+    const locality = localities.find(loc => loc.slug === localitySlug);
+
+    if (!locality) {
+      // The locality may have been merged into another one - redirect to it
+      const mergedInto = localities.find(loc => (loc.previousSlugs || []).includes(localitySlug));
+      if (mergedInto) {
+        return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(city.slug)}/localities/${encodeURIComponent(mergedInto.slug)}`);
+      }
+      return res.status(404).json({ error: "Locality not found" });
+    }
+
+    res.json({
+      ...locality.toObject(),
+      city: {
+        _id: city._id,
+        name: city.name,
+        slug: city.slug,
+        state: city.state
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Market insights of a city: price per sqft quartiles by category, inventory by
+// propertyAction, sold/rented ratios and monthly trends (cached, refreshed daily).
+// 404 for deactivated cities and localities, like the slug lookups.
+router.get("/:id/insights", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid city ID" });
+    }
+    const insights = await marketInsightsService.getInsights(req.params.id);
+    if (!insights) {
+      return res.status(404).json({ error: "City not found" });
+    }
+    res.json(insights);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Market insights of one locality of a city
+router.get("/:id/localities/:localityId/insights", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.localityId)) {
+      return res.status(400).json({ error: "Invalid city or locality ID" });
+    }
+    const insights = await marketInsightsService.getInsights(req.params.id, req.params.localityId);
+    if (!insights) {
+      return res.status(404).json({ error: "Locality not found" });
+    }
+    res.json(insights);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single city by ID
 router.get("/:id", async (req, res) => {
   try {
@@ -36,6 +186,7 @@ router.get("/:id", async (req, res) => {
       ...city.toObject(),
       backgroundImage: convertToCloudFrontUrl(city.backgroundImage)
     };
+    await addImageSets(cityWithCloudFrontUrl, CITY_IMAGE_FIELDS);
     
     res.json(cityWithCloudFrontUrl);
   } catch (error) {
@@ -43,4 +194,211 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// Create a city, optionally with its localities (names or { name } objects)
+router.post("/", requireCityAdmin, async (req, res) => {
+  try {
+    const data = pickCityFields(req.body);
+    if (!data.name || !String(data.name).trim() || !data.state || !String(data.state).trim()) {
+      return res.status(400).json({ error: "Name and state are required" });
+    }
+    if (await cityNameTaken(data.name)) {
+      return res.status(409).json({ error: `A city named "${data.name}" already exists` });
+    }
+
+    const localityNames = (Array.isArray(req.body?.localities) ? req.body?.localities : [])
+      .map(locality => String(typeof locality === "string" ? locality : locality?.name || "").trim())
+      .filter(Boolean);
+    const duplicates = localityNames.filter((name, index) => (
+      localityNames.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== index
+    ));
+    if (duplicates.length > 0) {
+      return res.status(400).json({ error: "Locality names must be unique", details: duplicates });
+    }
+
+    const city = new City({ ...data, localities: localityNames.map(name => ({ name })) });
+    await city.save();
+
+    logger.info("City created", { cityId: city._id.toString(), userId: req.user.id });
+    res.status(201).json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Update a city
+router.put("/:id", requireCityAdmin, async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+
+    const data = pickCityFields(req.body);
+    if (data.name !== undefined && await cityNameTaken(data.name, city._id)) {
+      return res.status(409).json({ error: `A city named "${data.name}" already exists` });
+    }
+
+    city.set(data);
+    await city.save();
+
+    logger.info("City updated", { cityId: city._id.toString(), fields: Object.keys(data), userId: req.user.id });
+    res.json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Deactivate / reactivate a city (listings keep pointing at it)
+const setCityActive = (isActive) => async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+
+    city.isActive = isActive;
+    await city.save();
+
+    logger.info(isActive ? "City activated" : "City deactivated", { cityId: city._id.toString(), userId: req.user.id });
+    res.json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+router.post("/:id/deactivate", requireCityAdmin, setCityActive(false));
+router.post("/:id/activate", requireCityAdmin, setCityActive(true));
+
+// Delete a city. Refused while properties use it, unless ?replacementCityId=&replacementLocalityId=
+// name where to move them (prefer deactivating cities that only stop being offered)
+router.delete("/:id", requireCityAdmin, async (req, res) => {
+  try {
+    const { deleted, moved, failed } = await taxonomyService.deleteCity(req.params.id, {
+      replacementCityId: req.query.replacementCityId,
+      replacementLocalityId: req.query.replacementLocalityId,
+      actor: actorFromUser(req.user)
+    });
+    if (!deleted) {
+      return res.status(500).json({
+        error: "Some properties could not be moved - the city was kept so the delete can be retried",
+        moved,
+        failed
+      });
+    }
+    res.json({ message: "City deleted successfully", moved });
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({
+      error: error.message,
+      ...(error.dependents && { dependents: error.dependents })
+    });
+  }
+});
+
+// Add a locality to a city
+router.post("/:id/localities", requireCityAdmin, async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+
+    const name = String(req.body?.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+    if (localityNameTaken(city, name)) {
+      return res.status(409).json({ error: `${city.name} already has a locality named "${name}"` });
+    }
+
+    city.localities.push({ name, isActive: req.body?.isActive !== false });
+    await city.save();
+
+    logger.info("Locality added", { cityId: city._id.toString(), name, userId: req.user.id });
+    res.status(201).json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Rename a locality (its slug stays the same so existing links keep working)
+router.put("/:id/localities/:localityId", requireCityAdmin, async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+    const locality = loadLocality(city, req, res);
+    if (!locality) return;
+
+    if (req.body?.name !== undefined) {
+      const name = String(req.body?.name).trim();
+      if (!name) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      if (localityNameTaken(city, name, locality._id.toString())) {
+        return res.status(409).json({ error: `${city.name} already has a locality named "${name}"` });
+      }
+      locality.name = name;
+    }
+    if (req.body?.isActive !== undefined) {
+      locality.isActive = !!req.body?.isActive;
+    }
+    await city.save();
+
+    logger.info("Locality updated", { cityId: city._id.toString(), localityId: locality._id.toString(), userId: req.user.id });
+    res.json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Deactivate / reactivate a locality
+const setLocalityActive = (isActive) => async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+    const locality = loadLocality(city, req, res);
+    if (!locality) return;
+
+    locality.isActive = isActive;
+    await city.save();
+
+    logger.info(isActive ? "Locality activated" : "Locality deactivated", {
+      cityId: city._id.toString(),
+      localityId: locality._id.toString(),
+      userId: req.user.id
+    });
+    res.json(city);
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+router.post("/:id/localities/:localityId/deactivate", requireCityAdmin, setLocalityActive(false));
+router.post("/:id/localities/:localityId/activate", requireCityAdmin, setLocalityActive(true));
+
+// Merge a locality into another locality of the same city ({ targetLocalityId }).
+// Properties of the merged locality are moved to the target and the merged locality is removed.
+router.post("/:id/localities/:localityId/merge", requireCityAdmin, async (req, res) => {
+  try {
+    const city = await loadCity(req, res);
+    if (!city) return;
+    const locality = loadLocality(city, req, res);
+    if (!locality) return;
+
+    const { targetLocalityId } = req.body ?? {};
+    if (!mongoose.Types.ObjectId.isValid(targetLocalityId) || !city.localities.id(targetLocalityId)) {
+      return res.status(400).json({ error: "targetLocalityId must be another locality of this city" });
+    }
+
+    const { moved, failed } = await taxonomyService.mergeLocality(city, locality._id.toString(), targetLocalityId, {
+      actor: actorFromUser(req.user)
+    });
+
+    if (failed > 0) {
+      return res.status(500).json({
+        error: "Some properties could not be moved - the locality was kept so the merge can be retried",
+        moved,
+        failed
+      });
+    }
+
+    res.json({ city, moved });
+  } catch (error) {
+    res.status(writeErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 export default router;
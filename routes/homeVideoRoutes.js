@@ -1,9 +1,13 @@
 import express from "express";
 import HomeVideo from "../models/HomeVideo.js";
 import { convertToCloudFrontUrl } from "../utils/cloudfront.js";
+import { authenticateJWT, authorize } from "../middleware/jwtAuth.js";
+import mediaReferenceService from "../services/mediaReferenceService.js";
 
 const router = express.Router();
 
+const requireVideoAdmin = [authenticateJWT, authorize("homeVideos:manage")];
+
 // Get active home video
 router.get("/active", async (req, res) => {
   try {
@@ -73,9 +77,12 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new home video
-router.post("/", async (req, res) => {
+router.post("/", requireVideoAdmin, async (req, res) => {
   try {
-    const video = new HomeVideo(req.body);
+    const video = new HomeVideo({
+      ...req.body,
+      uploadedBy: req.user.id
+    });
     await video.save();
     res.status(201).json(video);
   } catch (err) {
@@ -84,7 +91,7 @@ router.post("/", async (req, res) => {
 });
 
 // Update home video
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireVideoAdmin, async (req, res) => {
   try {
     const video = await HomeVideo.findByIdAndUpdate(
       req.params.id,
@@ -103,14 +110,15 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete home video
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireVideoAdmin, async (req, res) => {
   try {
     const video = await HomeVideo.findByIdAndDelete(req.params.id);
     
     if (!video) {
       return res.status(404).json({ error: "Video not found" });
     }
-    
+
+    await mediaReferenceService.releaseDocument("homeVideo", video);
     res.json({ message: "Video deleted successfully" });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1,10 +1,22 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Lead from '../models/Lead.js';
 import { validateRequest, validateInput, validationRules } from '../middleware/security.js';
 import logger from '../utils/logger.js';
+import LeadRoutingRule from '../models/LeadRoutingRule.js';
+import { authenticateJWT, authorize } from '../middleware/jwtAuth.js';
+import { EXPORT_FORMATS, streamSpreadsheet, exportFilename } from '../utils/spreadsheetExport.js';
+import { buildLeadFilter, buildLeadSort, LEAD_EXPORT_COLUMNS } from '../utils/leadQueries.js';
+import leadAssignmentService, { EDITABLE_RULE_FIELDS } from '../services/leadAssignmentService.js';
 
 const router = express.Router();
 
+const requireRoutingAdmin = [authenticateJWT, authorize('leads:manageRouting')];
+
+const pickRuleFields = (body = {}) => Object.fromEntries(
+  EDITABLE_RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
 // Create a new lead with input validation
 router.post('/', 
   validateInput([
@@ -63,6 +75,7 @@ router.post('/',
     });
 
     await lead.save();
+    leadAssignmentService.queueNewLead(lead);
     
     console.log('✅ [LEAD ROUTE] Lead created successfully:', lead._id);
     if (propertyUrl) {
@@ -105,29 +118,15 @@ router.post('/',
 });
 
 // Get all leads (with pagination and filtering)
-router.get('/', async (req, res) => {
+router.get('/', authenticateJWT, authorize('leads:read'), async (req, res) => {
   try {
     const {
       page = 1,
-      limit = 20,
-      status,
-      city,
-      source,
-      propertyId,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      limit = 20
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    if (city) filter.city = new RegExp(city, 'i');
-    if (source) filter.source = source;
-    if (propertyId) filter.propertyId = propertyId;
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const filter = buildLeadFilter(req.query);
+    const sort = buildLeadSort(req.query);
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -162,12 +161,168 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export leads as CSV or XLSX (same filters as the lead list, streamed)
+router.get('/export', authenticateJWT, authorize('leads:export'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const cursor = Lead.find(buildLeadFilter(req.query))
+      .sort(buildLeadSort(req.query))
+      .populate('propertyId', 'projectName title')
+      .populate('assignedTo', 'name')
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    const rowCount = await streamSpreadsheet(res, {
+      format,
+      filename: exportFilename('leads'),
+      sheetName: 'Leads',
+      columns: LEAD_EXPORT_COLUMNS,
+      cursor
+    });
+
+    logger.info('Leads exported', { userId: req.user.id, format, rowCount });
+  } catch (error) {
+    logger.error('Lead export error', { error: error.message, userId: req.user?.id });
+    // Headers are already sent once streaming started - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads'
+    });
+  }
+});
+
+// Lead routing rules - new leads are assigned by the first active matching rule (lowest order first)
+router.get('/routing-rules', requireRoutingAdmin, async (req, res) => {
+  try {
+    const rules = await LeadRoutingRule.find()
+      .sort({ order: 1, createdAt: 1 })
+      .populate('agents', 'name email role isActive');
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error fetching lead routing rules', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+router.post('/routing-rules', requireRoutingAdmin, async (req, res) => {
+  try {
+    const data = pickRuleFields(req.body);
+    const errors = await leadAssignmentService.validateRule(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const rule = await LeadRoutingRule.create({ ...data, createdBy: req.user.id });
+    logger.info('Lead routing rule created', { ruleId: rule._id.toString(), userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error creating lead routing rule', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+router.put('/routing-rules/:ruleId', requireRoutingAdmin, async (req, res) => {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.ruleId)
+      ? await LeadRoutingRule.findById(req.params.ruleId)
+      : null;
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    const changes = pickRuleFields(req.body);
+    const errors = await leadAssignmentService.validateRule({ ...rule.toObject(), ...changes });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    rule.set(changes);
+    await rule.save();
+    logger.info('Lead routing rule updated', { ruleId: rule._id.toString(), fields: Object.keys(changes), userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error updating lead routing rule', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/routing-rules/:ruleId', requireRoutingAdmin, async (req, res) => {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.ruleId)
+      ? await LeadRoutingRule.findByIdAndDelete(req.params.ruleId)
+      : null;
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    logger.info('Lead routing rule deleted', { ruleId: rule._id.toString(), userId: req.user.id });
+    res.json({
+      success: true,
+      message: 'Routing rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting lead routing rule', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Get lead by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateJWT, authorize('leads:read'), async (req, res) => {
   try {
     const lead = await Lead.findById(req.params.id)
       .populate('propertyId', 'projectName title fullAddress')
       .populate('assignedTo', 'name email')
+      .populate('assignmentHistory.assignedTo', 'name email')
+      .populate('assignmentHistory.assignedBy', 'name')
       .populate('notes.addedBy', 'name');
 
     if (!lead) {
@@ -192,7 +347,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update lead status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authenticateJWT, authorize('leads:annotate'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -231,10 +386,49 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// Assign lead to an agent or admin (manual reassignment; recorded in the assignment history with an optional reason)
+router.patch('/:id/assign', authenticateJWT, authorize('leads:assign'), async (req, res) => {
+  try {
+    // A bodiless request unassigns the lead (Express 5 leaves req.body undefined then)
+    const { assignedTo, reason } = req.body ?? {};
+
+    const lead = await leadAssignmentService.reassign(req.params.id, assignedTo || null, {
+      assignedBy: req.user.id,
+      reason
+    });
+    await lead.populate('assignedTo', 'name email');
+
+    logger.info(`Lead ${lead._id} assigned`, {
+      leadId: lead._id,
+      assignedTo: lead.assignedTo ? lead.assignedTo._id : null,
+      assignedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: lead.assignedTo ? 'Lead assigned successfully' : 'Lead unassigned successfully',
+      data: lead
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('💥 [LEAD ROUTE] Error assigning lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Add note to lead
-router.post('/:id/notes', async (req, res) => {
+router.post('/:id/notes', authenticateJWT, authorize('leads:annotate'), async (req, res) => {
   try {
-    const { note, addedBy } = req.body;
+    const { note } = req.body;
     
     if (!note) {
       return res.status(400).json({
@@ -253,7 +447,7 @@ router.post('/:id/notes', async (req, res) => {
 
     lead.notes.push({
       note,
-      addedBy,
+      addedBy: req.user.id,
       addedAt: new Date()
     });
 
@@ -275,7 +469,7 @@ router.post('/:id/notes', async (req, res) => {
 });
 
 // Get lead statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', authenticateJWT, authorize('leads:read'), async (req, res) => {
   try {
     const stats = await Lead.aggregate([
       {
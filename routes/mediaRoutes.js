@@ -0,0 +1,186 @@
+import express from 'express';
+import MediaAsset from '../models/MediaAsset.js';
+import mediaService, { UPLOAD_KINDS, ATTACHMENT_TARGETS } from '../services/mediaService.js';
+import { authenticateJWT, hasPermission } from '../middleware/jwtAuth.js';
+import { convertToCloudFrontUrl } from '../utils/cloudfront.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const formatAsset = (asset) => ({
+  id: asset._id,
+  key: asset.key,
+  url: convertToCloudFrontUrl(asset.url),
+  fileName: asset.fileName,
+  mimeType: asset.mimeType,
+  kind: asset.kind,
+  size: asset.size,
+  status: asset.status,
+  target: asset.target,
+  attachedTo: asset.attachedTo?.entityId ? asset.attachedTo : null,
+  uploadedBy: asset.uploadedBy,
+  createdAt: asset.createdAt,
+  uploadedAt: asset.uploadedAt,
+  attachedAt: asset.attachedAt
+});
+
+// Errors thrown by the media service carry a statusCode; anything else is a 500
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+  logger.error(fallbackMessage, { error: error.message });
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+// GET /api/media/rules - Allowed file types, sizes and attachment targets
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      kinds: UPLOAD_KINDS,
+      targets: Object.fromEntries(
+        Object.entries(ATTACHMENT_TARGETS).map(([entityType, { fields }]) => [
+          entityType,
+          Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, rule.kinds]))
+        ])
+      )
+    }
+  });
+});
+
+// POST /api/media/uploads - Validate a file and get a presigned PUT URL for it.
+// Upload the file with the returned method and headers, then attach it with POST /api/media/:id/attach.
+router.post('/uploads', authenticateJWT, async (req, res) => {
+  try {
+    const { fileName, mimeType, size, entityType, field } = req.body;
+
+    if (!fileName || !mimeType || !size || !entityType || !field) {
+      return res.status(400).json({
+        success: false,
+        error: 'fileName, mimeType, size, entityType and field are required'
+      });
+    }
+
+    const { asset, upload } = await mediaService.createUpload({ fileName, mimeType, size, entityType, field }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        asset: formatAsset(asset),
+        upload
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create upload');
+  }
+});
+
+// GET /api/media - The user's uploads (admins can pass all=true to see everyone's)
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, kind, all } = req.query;
+
+    const filter = { status: { $ne: 'deleted' } };
+    if (!(all === 'true' && hasPermission(req.user, 'media:manageAny'))) {
+      filter.uploadedBy = req.user.id;
+    }
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [assets, total] = await Promise.all([
+      MediaAsset.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      MediaAsset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: assets.map(formatAsset),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get media');
+  }
+});
+
+// GET /api/media/:id
+router.get('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const asset = await mediaService.getAssetForUser(req.params.id, req.user);
+    res.json({
+      success: true,
+      data: formatAsset(asset)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get media');
+  }
+});
+
+// POST /api/media/:id/complete - Confirm the upload reached S3 (optional - attach does this too)
+router.post('/:id/complete', authenticateJWT, async (req, res) => {
+  try {
+    const asset = await mediaService.getAssetForUser(req.params.id, req.user);
+    await mediaService.completeUpload(asset);
+    res.json({
+      success: true,
+      data: formatAsset(asset)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to complete upload');
+  }
+});
+
+// POST /api/media/:id/attach - Attach an uploaded file to a property, builder, city or home video
+router.post('/:id/attach', authenticateJWT, async (req, res) => {
+  try {
+    const { entityType, entityId, field, unitId } = req.body;
+    const asset = await mediaService.getAssetForUser(req.params.id, req.user);
+
+    const entity = await mediaService.attach(asset, {
+      entityType: entityType || asset.target?.entityType,
+      entityId,
+      field: field || asset.target?.field,
+      unitId
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Media attached successfully',
+      data: {
+        asset: formatAsset(asset),
+        entity: { type: asset.attachedTo.entityType, id: entity._id, field: asset.attachedTo.field }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to attach media');
+  }
+});
+
+// DELETE /api/media/:id - Delete an upload that hasn't been attached
+router.delete('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const asset = await mediaService.getAssetForUser(req.params.id, req.user);
+    await mediaService.discard(asset);
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete media');
+  }
+});
+
+export default router;
@@ -0,0 +1,456 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { User } from '../models/users.js';
+import Builder from '../models/Builder.js';
+import Lead from '../models/Lead.js';
+import Managedproperty from '../models/property.js';
+import twoFactorService from '../services/twoFactorService.js';
+import {
+  authenticateJWT,
+  authorize,
+  generateToken,
+  generateRefreshToken,
+  ROLES
+} from '../middleware/jwtAuth.js';
+import { EXPORT_FORMATS, streamSpreadsheet, exportFilename } from '../utils/spreadsheetExport.js';
+import { buildLeadFilter, buildLeadSort, PARTNER_LEAD_EXPORT_COLUMNS, PARTNER_LEAD_SORT_FIELDS } from '../utils/leadQueries.js';
+import logger from '../utils/logger.js';
+
+// Builder partner portal. Partners are users with the builder role linked to a Builder
+// (User.builder); everything here is scoped to that builder's listings and their leads.
+// Listings are edited through PUT /api/properties/:id, which accepts partners of the property's builder.
+
+const router = express.Router();
+
+const OTP_SESSION_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 3;
+
+// Pending partner logins (sessionId -> { userId, phoneNumber, createdAt, attempts })
+const otpSessions = new Map();
+
+// Partner account with a linked builder for a +91 phone number
+const findPartner = (phoneNumber) => User.findOne({
+  phoneNumber,
+  role: ROLES.BUILDER,
+  isActive: true,
+  builder: { $ne: null }
+});
+
+const requireLinkedBuilder = (req, res, next) => {
+  if (!req.user.builderId) {
+    return res.status(403).json({
+      success: false,
+      error: 'No builder is linked to this account',
+      code: 'NO_BUILDER'
+    });
+  }
+  next();
+};
+
+const requirePartner = [authenticateJWT, authorize('partner:access'), requireLinkedBuilder];
+
+// Ids of every listing of the partner's builder (leads are scoped through these)
+const partnerPropertyIds = (builderId) => Managedproperty.find({ type: 'builder', builder: builderId }).distinct('_id');
+
+// Lead filter limited to the partner's listings; a propertyId filter must be one of them
+const partnerLeadFilter = async (req) => {
+  const propertyIds = await partnerPropertyIds(req.user.builderId);
+  const filter = buildLeadFilter(req.query);
+  if (filter.propertyId) {
+    const requested = String(filter.propertyId);
+    filter.propertyId = propertyIds.some(id => id.toString() === requested) ? requested : { $in: [] };
+  } else {
+    filter.propertyId = { $in: propertyIds };
+  }
+  return filter;
+};
+
+// Send a login OTP to a registered builder partner
+router.post('/auth/send-otp', async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone || !/^\d{10}$/.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid 10-digit phone number'
+      });
+    }
+
+    const partner = await findPartner(`+91${phone}`);
+    if (!partner) {
+      return res.status(403).json({
+        success: false,
+        error: 'This number is not registered for the builder partner portal'
+      });
+    }
+
+    const result = await twoFactorService.sendOTP(partner.phoneNumber);
+    if (!result.success) {
+      logger.error('Partner OTP send failed', { userId: partner._id.toString(), error: result.error });
+      return res.status(500).json({
+        success: false,
+        error: result.error || 'Failed to send OTP. Please try again.'
+      });
+    }
+
+    const now = Date.now();
+    for (const [id, session] of otpSessions.entries()) {
+      if (now - session.createdAt > OTP_SESSION_TTL_MS) otpSessions.delete(id);
+    }
+    otpSessions.set(result.sessionId, {
+      userId: partner._id.toString(),
+      phoneNumber: partner.phoneNumber,
+      createdAt: now,
+      attempts: 0
+    });
+
+    res.json({
+      success: true,
+      message: 'OTP sent successfully to your mobile number',
+      sessionId: result.sessionId
+    });
+  } catch (error) {
+    logger.error('Partner send OTP error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send OTP'
+    });
+  }
+});
+
+// Verify the OTP and log the partner in (no account is created here - partners are set up by an admin)
+router.post('/auth/verify-otp', async (req, res) => {
+  try {
+    const { sessionId, otp } = req.body;
+
+    if (!sessionId || !otp) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session ID and OTP are required'
+      });
+    }
+
+    const session = otpSessions.get(sessionId);
+    if (!session || Date.now() - session.createdAt > OTP_SESSION_TTL_MS || session.attempts >= MAX_OTP_ATTEMPTS) {
+      otpSessions.delete(sessionId);
+      return res.status(400).json({
+        success: false,
+        error: 'Session expired or invalid. Please request a new OTP.'
+      });
+    }
+
+    const result = await twoFactorService.verifyOTP(sessionId, otp);
+    if (!result.success) {
+      session.attempts += 1;
+      return res.status(400).json({
+        success: false,
+        error: `Invalid OTP code. ${MAX_OTP_ATTEMPTS - session.attempts} attempts remaining.`
+      });
+    }
+    otpSessions.delete(sessionId);
+
+    // The account may have been changed since the OTP was sent
+    const partner = await findPartner(session.phoneNumber);
+    if (!partner || partner._id.toString() !== session.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'This number is not registered for the builder partner portal'
+      });
+    }
+
+    partner.lastLogin = new Date();
+    await partner.save();
+
+    const token = generateToken(partner);
+    const refreshToken = generateRefreshToken(partner);
+    const cookieOptions = {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/'
+    };
+    res.cookie('urbanesta_token', token, { ...cookieOptions, maxAge: 15 * 60 * 1000 });
+    res.cookie('token', token, { ...cookieOptions, maxAge: 15 * 60 * 1000 });
+    res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 });
+
+    const builder = await Builder.findById(partner.builder).select('name slug logo');
+
+    logger.info('Builder partner logged in', {
+      userId: partner._id.toString(),
+      builderId: partner.builder.toString()
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: partner._id,
+        name: partner.name,
+        phoneNumber: partner.phoneNumber,
+        role: partner.role,
+        builder
+      },
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    logger.error('Partner verify OTP error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify OTP'
+    });
+  }
+});
+
+// Create a partner account for a phone number, or turn an existing user into one (admin only)
+router.post('/accounts', authenticateJWT, authorize('users:manageRoles'), async (req, res) => {
+  try {
+    const { phone, name, builderId } = req.body;
+
+    if (!phone || !/^\d{10}$/.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid 10-digit phone number'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(builderId) || !(await Builder.exists({ _id: builderId }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'builderId must be an existing builder'
+      });
+    }
+
+    const phoneNumber = `+91${phone}`;
+    let user = await User.findOne({ phoneNumber });
+    const created = !user;
+    if (!user) {
+      user = new User({ phoneNumber, name: name || 'Builder Partner' });
+    } else if (user.role === ROLES.ADMIN || user.role === ROLES.AGENT) {
+      return res.status(409).json({
+        success: false,
+        error: `This number belongs to an ${user.role} account`
+      });
+    }
+
+    user.role = ROLES.BUILDER;
+    user.builder = builderId;
+    if (name) user.name = name;
+    await user.save();
+
+    logger.info('Builder partner account saved', {
+      userId: user._id.toString(),
+      builderId,
+      created,
+      updatedBy: req.user.id
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        id: user._id,
+        name: user.name,
+        phoneNumber: user.phoneNumber,
+        role: user.role,
+        builder: user.builder
+      }
+    });
+  } catch (error) {
+    logger.error('Save partner account error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save partner account'
+    });
+  }
+});
+
+// The partner's account and builder
+router.get('/me', requirePartner, async (req, res) => {
+  try {
+    const [user, builder] = await Promise.all([
+      User.findById(req.user.id).select('name phoneNumber email role lastLogin'),
+      Builder.findById(req.user.builderId).select('-properties')
+    ]);
+
+    if (!user || !builder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Partner account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user, builder }
+    });
+  } catch (error) {
+    logger.error('Get partner profile error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get partner profile'
+    });
+  }
+});
+
+// The builder's listings in every publication state, with their lead counts
+router.get('/properties', requirePartner, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, publicationStatus } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = { type: 'builder', builder: req.user.builderId };
+    if (publicationStatus) filter.publicationStatus = publicationStatus;
+
+    const [properties, total] = await Promise.all([
+      Managedproperty.find(filter)
+        .populate('city', 'name state')
+        .populate('category', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Managedproperty.countDocuments(filter)
+    ]);
+
+    const leadCounts = await Lead.aggregate([
+      { $match: { propertyId: { $in: properties.map(property => property._id) } } },
+      { $group: { _id: '$propertyId', count: { $sum: 1 } } }
+    ]);
+    const leadCountById = new Map(leadCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: properties.map(property => ({
+        ...property,
+        leadCount: leadCountById.get(property._id.toString()) || 0
+      })),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    logger.error('Get partner properties error', { error: error.message, builderId: req.user.builderId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get properties'
+    });
+  }
+});
+
+router.get('/properties/:id', requirePartner, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const property = await Managedproperty.findOne({
+      _id: req.params.id,
+      type: 'builder',
+      builder: req.user.builderId
+    })
+      .populate('city', 'name state')
+      .populate('category', 'name');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    logger.error('Get partner property error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get property'
+    });
+  }
+});
+
+// Leads on the builder's listings (same filters as GET /api/leads); internal notes and assignment are not shown
+router.get('/leads', requirePartner, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = await partnerLeadFilter(req);
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .select('-notes -assignedTo -assignedAt -assignmentHistory -priority -tags')
+        .sort(buildLeadSort(req.query, { allowed: PARTNER_LEAD_SORT_FIELDS }))
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('propertyId', 'projectName title'),
+      Lead.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: leads,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    logger.error('Get partner leads error', { error: error.message, builderId: req.user.builderId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get leads'
+    });
+  }
+});
+
+// Lead report as CSV or XLSX (same filters as the list)
+router.get('/leads/export', requirePartner, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const cursor = Lead.find(await partnerLeadFilter(req))
+      .sort(buildLeadSort(req.query, { allowed: PARTNER_LEAD_SORT_FIELDS }))
+      .populate('propertyId', 'projectName title')
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    const rowCount = await streamSpreadsheet(res, {
+      format,
+      filename: exportFilename('leads'),
+      sheetName: 'Leads',
+      columns: PARTNER_LEAD_EXPORT_COLUMNS,
+      cursor
+    });
+
+    logger.info('Partner leads exported', { userId: req.user.id, builderId: req.user.builderId, format, rowCount });
+  } catch (error) {
+    logger.error('Partner lead export error', { error: error.message, userId: req.user?.id });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads'
+    });
+  }
+});
+
+export default router;
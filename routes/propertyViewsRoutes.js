@@ -1,12 +1,14 @@
 import express from 'express';
 import PropertyViews from '../models/PropertyViews.js';
 import Managedproperty from '../models/property.js';
+import { User } from '../models/users.js';
+import { optionalAuth } from '../middleware/jwtAuth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 // Track property view
-router.post('/track', async (req, res) => {
+router.post('/track', optionalAuth, async (req, res) => {
   try {
     const { propertyId } = req.body;
 
@@ -29,6 +31,11 @@ router.post('/track', async (req, res) => {
     // Increment view count
     const viewRecord = await PropertyViews.incrementView(propertyId);
 
+    // Remember the view for logged-in users (feeds their recommendations)
+    if (req.user) {
+      await User.recordPropertyView(req.user.id, property._id);
+    }
+
     logger.info(`Property view tracked: ${propertyId}`, {
       propertyId,
       viewCount: viewRecord.viewCount,
@@ -1,10 +1,30 @@
 import express from 'express';
+import path from 'path';
+import multer from 'multer';
 import mongoose from 'mongoose';
 import Managedproperty from '../models/property.js';
 import Category from '../models/category.js';
 import City from '../models/City.js';
 import Builder from '../models/Builder.js';
-import { convertToCloudFrontUrl } from '../utils/cloudfront.js';
+import { formatPropertyForListing } from '../utils/propertyFormatter.js';
+import { applyDocumentAccess } from '../utils/privateDocuments.js';
+import { canEditProperty, keepsPartnerBuilder } from '../utils/propertyAccess.js';
+import { addImageSets, PROPERTY_IMAGE_FIELDS } from '../utils/imageSets.js';
+import { buildComparison, MAX_COMPARE_PROPERTIES } from '../utils/propertyComparison.js';
+import { EXPORT_FORMATS, streamSpreadsheet, exportFilename } from '../utils/spreadsheetExport.js';
+import { buildPropertyFilter, getPropertyFacets, PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import { toGeoPoint, isValidLatitude, isValidLongitude } from '../utils/geo.js';
+import { tokenize, matchText, scoreFields, highlight } from '../utils/search.js';
+import { authenticateJWT, optionalAuth, authorize, hasPermission } from '../middleware/jwtAuth.js';
+import { EDITABLE_PROPERTY_FIELDS, pickPropertyFields, validatePropertyData } from '../utils/propertyValidation.js';
+import { linkPropertyRelations, unlinkPropertyRelations } from '../utils/propertyRelations.js';
+import { normalizeAttributes } from '../utils/propertyAttributes.js';
+import logger from '../utils/logger.js';
+import PriceHistory from '../models/PriceHistory.js';
+import recommendationService from '../services/recommendationService.js';
+import propertyImportService from '../services/propertyImportService.js';
+import mediaReferenceService from '../services/mediaReferenceService.js';
+import PropertyHistory, { actorFromUser, snapshotProperty, restorableFields } from '../models/PropertyHistory.js';
 
 const router = express.Router();
 
@@ -47,70 +67,18 @@ router.get('/dropdown-data', async (req, res) => {
 // GET /api/properties - Get all properties with optional filtering
 router.get('/', async (req, res) => {
   try {
-    const { type, status, city, category, subcategory, builder, page = 1, limit = 50, sort = 'createdAt', order = 'desc' } = req.query;
+    const { page = 1, limit = 50, sort = 'createdAt', order = 'desc', facets = 'true' } = req.query;
     
-    // Build filter object
-    const filter = {};
-    if (type) filter.type = type;
-    if (status) filter.status = status;
-    if (city) {
-      // Check if city is an ObjectId or city name
-      if (city.match(/^[0-9a-fA-F]{24}$/)) {
-        // It's an ObjectId
-        filter.city = city;
-      } else {
-        // It's a city name, we need to find the city first
-        const cityDoc = await City.findOne({ name: new RegExp(city, 'i') });
-        if (cityDoc) {
-          filter.city = cityDoc._id;
-        }
-      }
-    }
-    if (category) filter.category = category;
-    if (subcategory) filter.subcategory = subcategory;
-    if (builder) {
-      // Filter by builder ID
-      let builderObjectId = null;
-      
-      if (builder.match(/^[0-9a-fA-F]{24}$/)) {
-        // It's an ObjectId - convert to mongoose ObjectId to ensure proper matching
-        builderObjectId = new mongoose.Types.ObjectId(builder);
-      } else {
-        // It's a builder slug, find the builder first
-        const builderDoc = await Builder.findOne({ slug: builder });
-        if (builderDoc) {
-          builderObjectId = builderDoc._id;
-        } else {
-          // If builder not found by slug, try to find by name (case insensitive)
-          const builderByName = await Builder.findOne({ name: new RegExp(builder, 'i') });
-          if (builderByName) {
-            builderObjectId = builderByName._id;
-          }
-        }
-      }
-      
-      if (builderObjectId) {
-        // Set filter with ObjectId - mongoose will handle the matching
-        // Use $or to match both ObjectId and string representations
-        const builderFilter = {
-          $or: [
-            { builder: builderObjectId },
-            { builder: builderObjectId.toString() },
-            { builder: builder } // Also try the original value in case it's a string
-          ]
-        };
-        
-        // Merge with existing filter, preserving other filters
-        const { builder: _, ...restFilter } = filter;
-        Object.assign(filter, restFilter, builderFilter);
-      } else {
-        // If builder not found, set filter to match nothing (empty result)
-        filter.builder = { $exists: false };
-      }
-      
-      // Log for debugging
-      console.log(`[Properties API] Filtering by builder: ${builder}, Builder ObjectId: ${builderObjectId ? builderObjectId.toString() : 'NOT FOUND'}`);
+    // Build filter object (exact, reference and range filters)
+    const { filter, errors } = await buildPropertyFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: errors
+      });
     }
+    Object.assign(filter, PUBLISHED_FILTER);
     
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -123,99 +91,20 @@ router.get('/', async (req, res) => {
     const properties = await Managedproperty.find(filter)
       .populate('category', 'name deepSubcategories')
       .populate('city', 'name state localities')
-      .populate('builder', 'name slug')
+      .populate('builder', 'name slug privateDocuments')
       .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit));
     
     // Convert to plain objects and add display images with CloudFront URLs
-    const propertiesWithSubcategoryNames = properties.map(property => {
-      const propertyObj = property.toObject();
-      
-      // If subcategoryName is not set, try to populate it from the category
-      if (!propertyObj.subcategoryName && propertyObj.category && propertyObj.subcategory) {
-        try {
-          const category = propertyObj.category;
-          if (category.deepSubcategories) {
-            const subcategory = category.deepSubcategories.find(
-              sub => sub._id.toString() === propertyObj.subcategory
-            );
-            if (subcategory) {
-              propertyObj.subcategoryName = subcategory.name;
-            }
-          }
-        } catch (error) {
-          console.error('Error populating subcategory name:', error);
-        }
-      }
-      
-      // Populate locality name for location field
-      if (propertyObj.city && propertyObj.city.localities && propertyObj.location) {
-        try {
-          const locality = propertyObj.city.localities.find(
-            loc => loc._id.toString() === propertyObj.location
-          );
-          if (locality) {
-            propertyObj.localityName = locality.name;
-          }
-        } catch (error) {
-          console.error('Error populating locality name:', error);
-        }
-      }
-      
-      // Get display image based on property type
-      let displayImage = null;
-      if (propertyObj.type === 'regular') {
-        // For regular properties, use first project image
-        if (propertyObj.projectImages && propertyObj.projectImages.length > 0) {
-          displayImage = propertyObj.projectImages[0];
-        }
-      } else if (propertyObj.type === 'builder') {
-        // For builder properties, use wallpaper image
-        displayImage = propertyObj.wallpaperImage;
-      }
-      
-      // Convert display image to CloudFront URL
-      if (displayImage) {
-        propertyObj.displayImage = convertToCloudFrontUrl(displayImage);
-      }
-      
-      // Convert all image URLs to CloudFront URLs
-      if (propertyObj.projectImages) {
-        propertyObj.projectImages = propertyObj.projectImages.map(img => convertToCloudFrontUrl(img));
-      }
-      if (propertyObj.images) {
-        propertyObj.images = propertyObj.images.map(img => convertToCloudFrontUrl(img));
-      }
-      if (propertyObj.projectLogo) {
-        propertyObj.projectLogo = convertToCloudFrontUrl(propertyObj.projectLogo);
-      }
-      if (propertyObj.wallpaperImage) {
-        propertyObj.wallpaperImage = convertToCloudFrontUrl(propertyObj.wallpaperImage);
-      }
-      if (propertyObj.descriptionImage) {
-        propertyObj.descriptionImage = convertToCloudFrontUrl(propertyObj.descriptionImage);
-      }
-      if (propertyObj.highlightImage) {
-        propertyObj.highlightImage = convertToCloudFrontUrl(propertyObj.highlightImage);
-      }
-      if (propertyObj.floorPlan) {
-        propertyObj.floorPlan = convertToCloudFrontUrl(propertyObj.floorPlan);
-      }
-      if (propertyObj.masterPlan) {
-        propertyObj.masterPlan = convertToCloudFrontUrl(propertyObj.masterPlan);
-      }
-      
-      return propertyObj;
-    });
+    const propertiesWithSubcategoryNames = properties.map(formatPropertyForListing);
+    await addImageSets(propertiesWithSubcategoryNames, PROPERTY_IMAGE_FIELDS);
     
     // Get total count for pagination
     const total = await Managedproperty.countDocuments(filter);
     
-    // Log for debugging builder filter
-    if (builder) {
-      console.log(`[Properties API] Builder filter results: Found ${properties.length} properties out of ${total} total for builder: ${builder}`);
-    }
+    // Facet counts for filter sidebars (skip with facets=false)
+    const facetCounts = facets === 'false' ? undefined : await getPropertyFacets(filter);
     
     res.json({
       success: true,
@@ -225,7 +114,8 @@ router.get('/', async (req, res) => {
         pages: Math.ceil(total / parseInt(limit)),
         total,
         limit: parseInt(limit)
-      }
+      },
+      facets: facetCounts
     });
   } catch (error) {
     console.error('Error fetching properties:', error);
@@ -237,13 +127,502 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/properties/:id - Get single property by ID
-router.get('/:id', async (req, res) => {
+// Export columns - headers match the bulk import columns so an export can be edited and re-imported
+const PROPERTY_EXPORT_COLUMNS = [
+  { header: 'ID', value: p => p._id.toString(), width: 26 },
+  { header: 'External Ref', value: p => p.externalRef },
+  { header: 'Type', value: p => p.type },
+  { header: 'Title', value: p => p.title, width: 40 },
+  { header: 'Project Name', value: p => p.projectName, width: 30 },
+  { header: 'Status', value: p => p.status },
+  { header: 'Publication Status', value: p => p.publicationStatus || 'published' },
+  { header: 'For', value: p => p.propertyAction },
+  { header: 'Price', value: p => p.price },
+  { header: 'Min Price', value: p => p.minPrice },
+  { header: 'Max Price', value: p => p.maxPrice },
+  { header: 'Area', value: p => p.area },
+  { header: 'City', value: p => p.city?.name },
+  {
+    header: 'Locality',
+    value: p => p.city?.localities?.find(loc => loc._id.toString() === p.location)?.name || p.locality
+  },
+  { header: 'Category', value: p => p.category?.name },
+  { header: 'Subcategory', value: p => p.subcategoryName },
+  { header: 'Builder', value: p => p.builder?.name },
+  { header: 'Units', value: p => (p.unitDetails || []).map(unit => (unit.area ? `${unit.unitType}: ${unit.area}` : unit.unitType)), width: 40 },
+  { header: 'Possession Date', value: p => p.possessionDate },
+  { header: 'RERA No', value: p => p.reraNo },
+  { header: 'Full Address', value: p => p.fullAddress, width: 40 },
+  { header: 'Latitude', value: p => p.geoLocation?.coordinates?.[1] },
+  { header: 'Longitude', value: p => p.geoLocation?.coordinates?.[0] },
+  { header: 'Amenities', value: p => p.highlights, width: 40 },
+  { header: 'Slug', value: p => p.slug, width: 30 },
+  { header: 'Created At', value: p => p.createdAt, width: 22 },
+  { header: 'Updated At', value: p => p.updatedAt, width: 22 }
+];
+
+// GET /api/properties/export?format=csv|xlsx - Stream the listing as a spreadsheet (same filters as GET /api/properties)
+router.get('/export', authenticateJWT, authorize('properties:export'), async (req, res) => {
+  try {
+    const { format = 'csv', sort = 'createdAt', order = 'desc' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { filter, errors } = await buildPropertyFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: errors
+      });
+    }
+    Object.assign(filter, PUBLISHED_FILTER);
+
+    const cursor = Managedproperty.find(filter)
+      .populate('category', 'name')
+      .populate('city', 'name localities')
+      .populate('builder', 'name')
+      .sort({ [sort]: order === 'asc' ? 1 : -1 })
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    const rowCount = await streamSpreadsheet(res, {
+      format,
+      filename: exportFilename('properties'),
+      sheetName: 'Properties',
+      columns: PROPERTY_EXPORT_COLUMNS,
+      cursor
+    });
+
+    logger.info('Properties exported', { userId: req.user.id, format, rowCount });
+  } catch (error) {
+    logger.error('Property export error', { error: error.message, userId: req.user?.id });
+    // Headers are already sent once streaming started - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export properties',
+      details: error.message
+    });
+  }
+});
+
+// Search configuration
+const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  projectName: 10,
+  locality: 8,
+  builder: 8,
+  city: 6,
+  unitType: 5,
+  highlights: 4,
+  about: 2,
+  description: 2
+};
+// Most listings each candidate source (text index, matched cities/localities/builders) contributes
+const SEARCH_CANDIDATE_LIMIT = 500;
+const SEARCH_CANDIDATE_FIELDS = 'title projectName description about highlights locality location city builder unitDetails.unitType unitType createdAt';
+
+// GET /api/properties/search?q= - Ranked text search with highlights (typo-tolerant for city, locality and builder names)
+router.get('/search', async (req, res) => {
+  try {
+    const { q = '', type, city, page = 1, limit = 20 } = req.query;
+    const tokens = tokenize(q);
+
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    // Cities, localities and builders are small collections - match them in memory so typos still resolve
+    const cities = await City.find({ isActive: true }).select('name localities').lean();
+    const builders = await Builder.find({ isActive: true }).select('name').lean();
+
+    const matchesAnyToken = (text) => tokens.some(token => matchText(token, text) > 0);
+
+    const cityNames = new Map();
+    const localityNames = new Map();
+    const matchedCityIds = [];
+    const matchedLocalityIds = [];
+    for (const cityDoc of cities) {
+      cityNames.set(cityDoc._id.toString(), cityDoc.name);
+      if (matchesAnyToken(cityDoc.name)) matchedCityIds.push(cityDoc._id);
+
+      for (const locality of cityDoc.localities || []) {
+        localityNames.set(locality._id.toString(), locality.name);
+        if (matchesAnyToken(locality.name)) matchedLocalityIds.push(locality._id.toString());
+      }
+    }
+
+    const builderNames = new Map();
+    const matchedBuilderIds = [];
+    for (const builderDoc of builders) {
+      builderNames.set(builderDoc._id.toString(), builderDoc.name);
+      if (matchesAnyToken(builderDoc.name)) matchedBuilderIds.push(builderDoc._id);
+    }
+
+    // Candidates come from indexes only: the text index (see Managedproperty.schema) and the listings
+    // of matched cities, localities and builders. Each source is capped, so a request never ranks
+    // more than a bounded set; the ranking below decides the final order within it.
+    const baseFilter = { ...PUBLISHED_FILTER };
+    if (type) baseFilter.type = type;
+    if (city && mongoose.Types.ObjectId.isValid(city)) baseFilter.city = city;
+
+    const referenceClauses = [];
+    if (matchedCityIds.length) referenceClauses.push({ city: { $in: matchedCityIds } });
+    if (matchedLocalityIds.length) referenceClauses.push({ location: { $in: matchedLocalityIds } });
+    if (matchedBuilderIds.length) referenceClauses.push({ builder: { $in: matchedBuilderIds } });
+
+    const [textMatches, referenceMatches] = await Promise.all([
+      Managedproperty.find({ ...baseFilter, $text: { $search: tokens.join(' ') } })
+        .select(SEARCH_CANDIDATE_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .lean(),
+      referenceClauses.length
+        ? Managedproperty.find({ ...baseFilter, $or: referenceClauses })
+          .select(SEARCH_CANDIDATE_FIELDS)
+          .sort({ createdAt: -1 })
+          .limit(SEARCH_CANDIDATE_LIMIT)
+          .lean()
+        : []
+    ]);
+    const candidates = new Map([...referenceMatches, ...textMatches].map(candidate => [candidate._id.toString(), candidate]));
+
+    // Score a candidate across the weighted text fields (reference ids resolved to their names)
+    const rankSearchCandidate = (candidate) => {
+      const fields = {
+        title: candidate.title,
+        projectName: candidate.projectName,
+        description: candidate.description,
+        about: candidate.about,
+        highlights: (candidate.highlights || []).join(' • '),
+        locality: [localityNames.get(String(candidate.location)), candidate.locality].filter(Boolean).join(', '),
+        builder: candidate.builder ? builderNames.get(candidate.builder.toString()) : '',
+        city: candidate.city ? cityNames.get(candidate.city.toString()) : '',
+        unitType: [...(candidate.unitDetails || []).map(unit => unit.unitType), candidate.unitType].filter(Boolean).join(', ')
+      };
+      return { fields, ...scoreFields(fields, tokens, SEARCH_FIELD_WEIGHTS) };
+    };
+
+    const ranked = [];
+    for (const [id, candidate] of candidates) {
+      const { score } = rankSearchCandidate(candidate);
+      if (score > 0) ranked.push({ id, score, createdAt: candidate.createdAt });
+    }
+
+    ranked.sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+
+    // Load full documents for the requested page only
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const pageResults = ranked.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+    const highlightsById = new Map(pageResults.map(({ id }) => {
+      const { fields, matchedFields } = rankSearchCandidate(candidates.get(id));
+      const highlights = {};
+      for (const [field, fieldTokens] of Object.entries(matchedFields)) {
+        highlights[field] = highlight(fields[field], fieldTokens);
+      }
+      return [id, highlights];
+    }));
+
+    const properties = await Managedproperty.find({ _id: { $in: pageResults.map(result => result.id) } })
+      .populate('category', 'name deepSubcategories')
+      .populate('city', 'name state localities')
+      .populate('builder', 'name slug privateDocuments');
+    const propertiesById = new Map(properties.map(property => [property._id.toString(), property]));
+
+    const data = pageResults
+      .filter(result => propertiesById.has(result.id))
+      .map(result => ({
+        ...formatPropertyForListing(propertiesById.get(result.id)),
+        searchScore: result.score,
+        highlights: highlightsById.get(result.id) || {}
+      }));
+    await addImageSets(data, PROPERTY_IMAGE_FIELDS);
+
+    res.json({
+      success: true,
+      query: q,
+      tokens,
+      data,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(ranked.length / pageSize),
+        total: ranked.length,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Error searching properties:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search properties',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/nearby?lat=&lng=&radiusKm= - Properties within a radius, nearest first
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lng, radiusKm = 5, limit = 50 } = req.query;
+
+    const point = toGeoPoint(lat, lng);
+    if (!point) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid lat and lng query parameters are required'
+      });
+    }
+
+    const radius = Number(radiusKm);
+    if (isNaN(radius) || radius <= 0 || radius > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'radiusKm must be between 0 and 100'
+      });
+    }
+
+    // Remaining query parameters work like the listing filters
+    const { filter, errors } = await buildPropertyFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: errors
+      });
+    }
+    Object.assign(filter, PUBLISHED_FILTER);
+
+    const maxResults = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const nearest = await Managedproperty.aggregate([
+      {
+        $geoNear: {
+          near: point,
+          distanceField: 'distance',
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $limit: maxResults },
+      { $project: { _id: 1, distance: 1 } }
+    ]);
+
+    const properties = await Managedproperty.find({ _id: { $in: nearest.map(entry => entry._id) } })
+      .populate('category', 'name deepSubcategories')
+      .populate('city', 'name state localities')
+      .populate('builder', 'name slug privateDocuments');
+    const propertiesById = new Map(properties.map(property => [property._id.toString(), property]));
+
+    const data = nearest
+      .filter(entry => propertiesById.has(entry._id.toString()))
+      .map(entry => ({
+        ...formatPropertyForListing(propertiesById.get(entry._id.toString())),
+        distanceKm: Math.round(entry.distance / 10) / 100
+      }));
+    await addImageSets(data, PROPERTY_IMAGE_FIELDS);
+
+    res.json({
+      success: true,
+      data,
+      center: { lat: point.coordinates[1], lng: point.coordinates[0] },
+      radiusKm: radius
+    });
+  } catch (error) {
+    console.error('Error fetching nearby properties:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch nearby properties',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/bounds?swLat=&swLng=&neLat=&neLng= - Map markers inside a viewport
+router.get('/bounds', async (req, res) => {
+  try {
+    const [swLat, swLng, neLat, neLng] = ['swLat', 'swLng', 'neLat', 'neLng'].map(name => Number(req.query[name]));
+    const { limit = 500 } = req.query;
+
+    if (![swLat, neLat].every(isValidLatitude) || ![swLng, neLng].every(isValidLongitude) ||
+        swLat >= neLat || swLng >= neLng) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid swLat, swLng, neLat and neLng query parameters are required (south-west corner below and left of north-east)'
+      });
+    }
+
+    const { filter, errors } = await buildPropertyFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: errors
+      });
+    }
+    Object.assign(filter, PUBLISHED_FILTER);
+
+    filter.geoLocation = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [swLng, swLat],
+            [neLng, swLat],
+            [neLng, neLat],
+            [swLng, neLat],
+            [swLng, swLat]
+          ]]
+        }
+      }
+    };
+
+    const maxResults = Math.min(Math.max(parseInt(limit) || 500, 1), 1000);
+    const properties = await Managedproperty.find(filter)
+      .select('type title projectName status price minPrice maxPrice propertyAction geoLocation projectImages wallpaperImage')
+      .limit(maxResults + 1)
+      .lean();
+
+    // Compact marker payload - full details come from GET /api/properties/:id
+    const markers = properties.slice(0, maxResults).map(property => {
+      const listing = formatPropertyForListing(property);
+      return {
+        id: listing._id,
+        type: listing.type,
+        title: listing.title,
+        projectName: listing.projectName,
+        status: listing.status,
+        price: listing.price,
+        minPrice: listing.minPrice,
+        maxPrice: listing.maxPrice,
+        propertyAction: listing.propertyAction,
+        lat: listing.geoLocation.coordinates[1],
+        lng: listing.geoLocation.coordinates[0],
+        displayImage: listing.displayImage || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: markers,
+      truncated: properties.length > maxResults
+    });
+  } catch (error) {
+    console.error('Error fetching properties in bounds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch properties in bounds',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/compare?ids=a,b,c - Side-by-side comparison of up to 4 published listings
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE_PROPERTIES) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide between 2 and ${MAX_COMPARE_PROPERTIES} property ids in the ids parameter`
+      });
+    }
+
+    const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID',
+        details: invalidIds
+      });
+    }
+
+    const properties = await Managedproperty.find({ _id: { $in: ids }, ...PUBLISHED_FILTER })
+      .populate('city', 'name localities')
+      .populate('builder', 'name slug privateDocuments')
+      .lean();
+
+    const propertiesById = new Map(properties.map(property => [property._id.toString(), property]));
+    const missingIds = ids.filter(id => !propertiesById.has(id));
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found',
+        details: missingIds
+      });
+    }
+
+    // Keep the column order of the request
+    res.json({
+      success: true,
+      data: buildComparison(ids.map(id => applyDocumentAccess(propertiesById.get(id), req.user)))
+    });
+  } catch (error) {
+    console.error('Error comparing properties:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare properties',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/slug/:slug - Get single property by slug (old slugs redirect to the current one)
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const property = await Managedproperty.findOne({ slug, ...PUBLISHED_FILTER })
+      .populate('category', 'name')
+      .populate('city', 'name state slug')
+      .populate('builder', 'name slug privateDocuments');
+
+    if (!property) {
+      // The listing may have been renamed - redirect shared links to the current slug
+      const renamed = await Managedproperty.findOne({ previousSlugs: slug, ...PUBLISHED_FILTER }).select('slug');
+      if (renamed && renamed.slug) {
+        return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`);
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await addImageSets(applyDocumentAccess(property.toObject(), req.user), PROPERTY_IMAGE_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error fetching property by slug:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch property',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/:id - Get single published property by ID
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const property = await Managedproperty.findById(req.params.id)
+    const property = await Managedproperty.findOne({ _id: req.params.id, ...PUBLISHED_FILTER })
       .populate('category', 'name')
       .populate('city', 'name state')
-      .populate('builder', 'name slug');
+      .populate('builder', 'name slug privateDocuments');
     
     if (!property) {
       return res.status(404).json({
@@ -254,7 +633,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: property
+      data: await addImageSets(applyDocumentAccess(property.toObject(), req.user), PROPERTY_IMAGE_FIELDS)
     });
   } catch (error) {
     console.error('Error fetching property:', error);
@@ -266,4 +645,719 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/properties/:id/similar - Published listings ranked by locality, category, price band and builder
+router.get('/:id/similar', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+    const property = await Managedproperty.findOne({ _id: req.params.id, ...PUBLISHED_FILTER })
+      .select('type city location category subcategory price minPrice propertyAction builder')
+      .lean();
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    const similar = await recommendationService.getSimilarProperties(property, { limit });
+
+    res.json({
+      success: true,
+      data: await addImageSets(similar.map(formatPropertyForListing), PROPERTY_IMAGE_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error fetching similar properties:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch similar properties',
+      details: error.message
+    });
+  }
+});
+
+// Check that referenced city, category/subcategory and builder exist.
+// Fills in subcategoryName from the category when the subcategory is found,
+// and validates and normalises the attributes against the subcategory's attribute schema.
+const resolvePropertyReferences = async (data) => {
+  const errors = [];
+
+  const city = await City.findById(data.city).select('_id');
+  if (!city) {
+    errors.push({ field: 'city', message: 'City not found' });
+  }
+
+  const category = await Category.findById(data.category).select('deepSubcategories');
+  if (!category) {
+    errors.push({ field: 'category', message: 'Category not found' });
+  } else {
+    const subcategory = category.deepSubcategories.find(
+      sub => sub._id.toString() === String(data.subcategory)
+    );
+    if (!subcategory) {
+      errors.push({ field: 'subcategory', message: 'Subcategory not found in category' });
+    } else {
+      data.subcategoryName = subcategory.name;
+      const { attributes, errors: attributeErrors } = normalizeAttributes(subcategory.attributes, data.attributes);
+      data.attributes = attributes;
+      errors.push(...attributeErrors);
+    }
+  }
+
+  if (data.type === 'builder') {
+    const builder = await Builder.findById(data.builder).select('_id');
+    if (!builder) {
+      errors.push({ field: 'builder', message: 'Builder not found' });
+    }
+  }
+
+  return errors;
+};
+
+// POST /api/properties - Create a new property
+router.post('/', authenticateJWT, async (req, res) => {
+  try {
+    const data = pickPropertyFields(req.body);
+
+    let errors = validatePropertyData(data);
+    if (errors.length === 0) {
+      errors = await resolvePropertyReferences(data);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const property = new Managedproperty({
+      ...data,
+      createdBy: req.user.id,
+      createdByPhone: req.user.phoneNumber
+    });
+
+    // Moderators publish directly; everyone else goes through review. Pass draft=true to save without submitting.
+    const isDraft = req.body.draft === true || req.body.draft === 'true';
+    const canPublish = hasPermission(req.user, 'properties:moderate');
+    property.publicationStatus = 'draft';
+    if (!isDraft) {
+      property.setPublicationStatus(canPublish ? 'published' : 'pending_review', {
+        action: canPublish ? 'publish' : 'submit',
+        userId: req.user.id
+      });
+    }
+    property.$locals.actor = actorFromUser(req.user);
+    await property.save();
+
+    await linkPropertyRelations(property);
+
+    logger.info('Property created', {
+      userId: req.user.id,
+      propertyId: property._id.toString(),
+      type: property.type
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Property created successfully',
+      data: property
+    });
+  } catch (error) {
+    logger.error('Create property error', { error: error.message, userId: req.user?.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create property',
+      details: error.message
+    });
+  }
+});
+
+// Edits by non-moderators to live or rejected listings go back into the moderation queue
+const requeueForReview = (property, user) => {
+  if (!hasPermission(user, 'properties:moderate')) {
+    property.requeueForReview(user.id);
+  }
+};
+
+// PUT/PATCH /api/properties/:id - Update a property (owner, admin or the builder's partners)
+const updateProperty = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const property = await Managedproperty.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    if (!canEditProperty(req.user, property)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to modify this property'
+      });
+    }
+
+    const changes = pickPropertyFields(req.body);
+    if (!keepsPartnerBuilder(req.user, property, changes)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Builder partners cannot move a property to another builder'
+      });
+    }
+    const merged = { ...property.toObject(), ...changes };
+
+    let errors = validatePropertyData(merged);
+    if (errors.length === 0) {
+      errors = await resolvePropertyReferences(merged);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    changes.subcategoryName = merged.subcategoryName;
+    changes.attributes = merged.attributes;
+
+    property.set(changes);
+    requeueForReview(property, req.user);
+    property.$locals.actor = actorFromUser(req.user);
+    await property.save();
+
+    logger.info('Property updated', {
+      userId: req.user.id,
+      propertyId: property._id.toString(),
+      fields: Object.keys(changes)
+    });
+
+    res.json({
+      success: true,
+      message: 'Property updated successfully',
+      data: property
+    });
+  } catch (error) {
+    logger.error('Update property error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update property',
+      details: error.message
+    });
+  }
+};
+
+router.put('/:id', authenticateJWT, updateProperty);
+router.patch('/:id', authenticateJWT, updateProperty);
+
+// DELETE /api/properties/:id - Delete a property (owner or admin)
+router.delete('/:id', authenticateJWT, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const property = await Managedproperty.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    if (property.createdBy !== req.user.id && !hasPermission(req.user, 'properties:manageAny')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this property'
+      });
+    }
+
+    await Managedproperty.findByIdAndDelete(property._id);
+    await unlinkPropertyRelations(property);
+    await mediaReferenceService.releaseDocument('property', property);
+    await PropertyHistory.recordVersion(property._id, {
+      action: 'delete',
+      before: snapshotProperty(property),
+      after: {},
+      actor: actorFromUser(req.user)
+    });
+
+    logger.info('Property deleted', {
+      userId: req.user.id,
+      propertyId: property._id.toString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Property deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete property error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete property',
+      details: error.message
+    });
+  }
+});
+
+// Spreadsheet uploads for the bulk import (kept in memory, never written to disk)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (['.csv', '.xlsx'].includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are supported'));
+    }
+  }
+});
+
+const handleImportUpload = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File must be 5 MB or smaller' : error.message
+      });
+    }
+    next();
+  });
+};
+
+// POST /api/properties/import - Bulk import from CSV/XLSX (multipart field "file").
+// Runs as a dry run unless dryRun=false is passed; the report lists per-row errors either way.
+router.post('/import', authenticateJWT, authorize('properties:import'), handleImportUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A .csv or .xlsx file is required in the "file" field'
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true') !== 'false';
+    const report = await propertyImportService.importProperties(req.file, { dryRun, user: req.user });
+
+    if (report.totalRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file has no data rows'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? 'Dry run completed - no changes were saved. Re-submit with dryRun=false to import.'
+        : 'Import completed',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Property import error', { error: error.message, userId: req.user?.id });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to import properties',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/moderation/queue - Listings waiting for review, oldest first (moderators only)
+router.get('/moderation/queue', authenticateJWT, authorize('properties:moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending_review' } = req.query;
+    const filter = { publicationStatus: status };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const properties = await Managedproperty.find(filter)
+      .populate('category', 'name deepSubcategories')
+      .populate('city', 'name state localities')
+      .populate('builder', 'name slug privateDocuments')
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Managedproperty.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: properties.map(formatPropertyForListing),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Moderation queue error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation queue',
+      details: error.message
+    });
+  }
+});
+
+// Publication workflow actions. Owners submit/archive/restore their own listings; moderators can do everything.
+const publicationAction = (action, { moderatorOnly = false, commentRequired = false } = {}) => {
+  return async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid property ID'
+        });
+      }
+
+      const property = await Managedproperty.findById(req.params.id);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      const isModerator = hasPermission(req.user, 'properties:moderate');
+      const isOwner = property.createdBy === req.user.id;
+      if (moderatorOnly ? !isModerator : !(isOwner || isModerator)) {
+        return res.status(403).json({
+          success: false,
+          error: `You do not have permission to ${action} this property`
+        });
+      }
+
+      // Express 5 leaves req.body undefined for requests without a body
+      const comment = String(req.body?.comment || '').trim();
+      if (commentRequired && !comment) {
+        return res.status(400).json({
+          success: false,
+          error: 'A comment is required'
+        });
+      }
+
+      property.transitionPublication(action, { userId: req.user.id, comment });
+      property.$locals.actor = actorFromUser(req.user);
+      await property.save();
+
+      logger.info(`Property ${action}`, {
+        userId: req.user.id,
+        propertyId: property._id.toString(),
+        publicationStatus: property.publicationStatus
+      });
+
+      res.json({
+        success: true,
+        message: `Property ${property.publicationStatus.replace('_', ' ')}`,
+        data: {
+          id: property._id,
+          publicationStatus: property.publicationStatus,
+          submittedAt: property.submittedAt,
+          publishedAt: property.publishedAt,
+          reviewedAt: property.reviewedAt,
+          reviewComment: property.reviewComment
+        }
+      });
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      logger.error(`Property ${action} error`, { error: error.message, propertyId: req.params.id });
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} property`,
+        details: error.message
+      });
+    }
+  };
+};
+
+router.post('/:id/submit', authenticateJWT, publicationAction('submit'));
+router.post('/:id/approve', authenticateJWT, publicationAction('approve', { moderatorOnly: true }));
+router.post('/:id/reject', authenticateJWT, publicationAction('reject', { moderatorOnly: true, commentRequired: true }));
+router.post('/:id/archive', authenticateJWT, publicationAction('archive'));
+router.post('/:id/restore', authenticateJWT, publicationAction('restore'));
+
+// GET /api/properties/:id/price-history - Price series for a published property
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const property = await Managedproperty.findOne({ _id: req.params.id, ...PUBLISHED_FILTER })
+      .select('type price minPrice maxPrice createdAt');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    let series = await PriceHistory.getSeries(property._id, { from, to });
+
+    // Listings that never changed price have no recorded points yet - report the current price
+    if (series.length === 0 && !from && !to) {
+      series = [{
+        price: property.price,
+        minPrice: property.minPrice,
+        maxPrice: property.maxPrice,
+        recordedAt: property.createdAt
+      }];
+    }
+
+    res.json({
+      success: true,
+      data: {
+        propertyId: property._id,
+        type: property.type,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      details: error.message
+    });
+  }
+});
+
+// Owners can see the history of their own listings; admins and agents can see all of it
+const canViewHistory = async (req, propertyId) => {
+  if (hasPermission(req.user, 'properties:viewHistory')) return true;
+  const property = await Managedproperty.findById(propertyId).select('createdBy');
+  return !!property && property.createdBy === req.user.id;
+};
+
+// GET /api/properties/:id/history - Versioned change history (pass ?at=<date> for the version current at that time)
+router.get('/:id/history', authenticateJWT, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, at } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    if (!(await canViewHistory(req, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this property history'
+      });
+    }
+
+    if (at) {
+      const date = new Date(at);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'at must be a valid date'
+        });
+      }
+
+      const version = await PropertyHistory.getVersionAt(req.params.id, date);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'No recorded version at that time'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: version
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const versions = await PropertyHistory.find({ propertyId: req.params.id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await PropertyHistory.countDocuments({ propertyId: req.params.id });
+
+    res.json({
+      success: true,
+      data: versions,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Property history error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch property history',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/properties/:id/history/:version - A single version with its full snapshot
+router.get('/:id/history/:version', authenticateJWT, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    if (!(await canViewHistory(req, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this property history'
+      });
+    }
+
+    const version = await PropertyHistory.findOne({
+      propertyId: req.params.id,
+      version: parseInt(req.params.version)
+    });
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    logger.error('Property version error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch property version',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/properties/:id/history/:version/restore - Restore the listing content of a previous version
+router.post('/:id/history/:version/restore', authenticateJWT, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid property ID'
+      });
+    }
+
+    const property = await Managedproperty.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    if (property.createdBy !== req.user.id && !hasPermission(req.user, 'properties:manageAny')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to modify this property'
+      });
+    }
+
+    const version = await PropertyHistory.findOne({
+      propertyId: property._id,
+      version: parseInt(req.params.version)
+    });
+    if (!version || version.action === 'delete') {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    // Restore listing content only - the publication state follows the normal workflow
+    const restored = restorableFields(version.snapshot || {}, [...EDITABLE_PROPERTY_FIELDS, 'geoLocation']);
+
+    const merged = { ...property.toObject(), ...restored };
+    let errors = validatePropertyData(merged);
+    if (errors.length === 0) {
+      errors = await resolvePropertyReferences(merged);
+    }
+    if (errors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This version can no longer be restored',
+        details: errors
+      });
+    }
+    restored.subcategoryName = merged.subcategoryName;
+    restored.attributes = merged.attributes;
+
+    property.set(restored);
+    requeueForReview(property, req.user);
+    property.$locals.actor = actorFromUser(req.user);
+    property.$locals.historyAction = 'restore';
+    property.$locals.restoredFromVersion = version.version;
+    await property.save();
+
+    logger.info('Property restored', {
+      userId: req.user.id,
+      propertyId: property._id.toString(),
+      version: version.version
+    });
+
+    res.json({
+      success: true,
+      message: `Property restored to version ${version.version}`,
+      data: property
+    });
+  } catch (error) {
+    logger.error('Restore property version error', { error: error.message, propertyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore property version',
+      details: error.message
+    });
+  }
+});
+
 export default router;
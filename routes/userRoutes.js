@@ -1,11 +1,23 @@
 import express from 'express';
-import { authenticateJWT, generateToken } from '../middleware/jwtAuth.js';
+import mongoose from 'mongoose';
+import { authenticateJWT, authorize, generateToken, ROLES } from '../middleware/jwtAuth.js';
 import { User } from '../models/users.js';
 import Managedproperty from '../models/property.js';
+import Builder from '../models/Builder.js';
+import Notification from '../models/Notification.js';
 import logger from '../utils/logger.js';
 import jwt from 'jsonwebtoken';
 import cookie from 'cookie';
 import { convertToCloudFrontUrl } from '../utils/cloudfront.js';
+import { unlinkPropertyRelations } from '../utils/propertyRelations.js';
+import PropertyHistory, { actorFromUser, snapshotProperty } from '../models/PropertyHistory.js';
+import SavedSearch, { SAVED_SEARCH_FILTER_FIELDS } from '../models/SavedSearch.js';
+import { buildPropertyFilter, PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import { formatPropertyForListing } from '../utils/propertyFormatter.js';
+import { addImageSets, PROPERTY_IMAGE_FIELDS } from '../utils/imageSets.js';
+import { applyDocumentAccess } from '../utils/privateDocuments.js';
+import recommendationService from '../services/recommendationService.js';
+import mediaReferenceService from '../services/mediaReferenceService.js';
 
 const router = express.Router();
 
@@ -143,6 +155,7 @@ router.get('/profile', authenticateJWT, async (req, res) => {
         email: user.email,
         name: user.name,
         city: user.city,
+        role: user.role,
         joinDate: user.joinDate,
         lastLogin: user.lastLogin
       }
@@ -271,7 +284,7 @@ router.get('/watchlist', authenticateJWT, async (req, res) => {
         populate: [
           { path: 'category', select: 'name deepSubcategories' },
           { path: 'city', select: 'name state localities' },
-          { path: 'builder', select: 'name slug' }
+          { path: 'builder', select: 'name slug privateDocuments' }
         ]
       });
     
@@ -361,8 +374,9 @@ router.get('/watchlist', authenticateJWT, async (req, res) => {
         propertyObj.categoryName = propertyObj.category.name;
       }
       
-      return propertyObj;
+      return applyDocumentAccess(propertyObj, req.user);
     }).filter(property => property !== null); // Remove null entries
+    await addImageSets(processedWatchlist, PROPERTY_IMAGE_FIELDS);
 
     res.json({
       success: true,
@@ -488,7 +502,7 @@ router.get('/properties', authenticateJWT, async (req, res) => {
     })
     .populate('city', 'name state')
     .populate('category', 'name')
-    .populate('builder', 'name slug')
+    .populate('builder', 'name slug privateDocuments')
     .sort({ createdAt: -1 });
 
     res.json({
@@ -525,12 +539,15 @@ router.delete('/properties/:propertyId', authenticateJWT, async (req, res) => {
     // Delete the property
     await Managedproperty.findByIdAndDelete(propertyId);
     
-    // Remove from user's myProperties array
-    const user = await User.findById(req.user.id);
-    if (user) {
-      user.myProperties = user.myProperties.filter(id => id.toString() !== propertyId);
-      await user.save();
-    }
+    // Remove from user's myProperties and the builder's properties arrays
+    await unlinkPropertyRelations(property);
+    await mediaReferenceService.releaseDocument('property', property);
+    await PropertyHistory.recordVersion(property._id, {
+      action: 'delete',
+      before: snapshotProperty(property),
+      after: {},
+      actor: actorFromUser(req.user)
+    });
     
     logger.info('Property deleted', { 
       userId: req.user.id, 
@@ -550,4 +567,411 @@ router.delete('/properties/:propertyId', authenticateJWT, async (req, res) => {
   }
 });
 
+// Get personalised property recommendations (watchlist, viewed properties and enquiries)
+router.get('/recommendations', authenticateJWT, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 30);
+
+    const recommendations = await recommendationService.getRecommendations(req.user.id, { limit });
+    if (!recommendations) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      strategy: recommendations.strategy,
+      signals: recommendations.signals,
+      data: await addImageSets(recommendations.properties.map(formatPropertyForListing), PROPERTY_IMAGE_FIELDS)
+    });
+  } catch (error) {
+    logger.error('Get recommendations error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recommendations'
+    });
+  }
+});
+
+// Get user's notifications (price drops and status changes on watchlisted properties)
+router.get('/notifications', authenticateJWT, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const filter = { user: req.user.id };
+    if (unreadOnly === 'true') filter.readAt = null;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const notifications = await Notification.find(filter)
+      .populate('propertyId', 'title projectName slug type price minPrice maxPrice status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get notifications'
+    });
+  }
+});
+
+// Mark a notification as read
+router.patch('/notifications/:notificationId/read', authenticateJWT, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    logger.error('Mark notification read error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification'
+    });
+  }
+});
+
+// Mark all notifications as read
+router.post('/notifications/read-all', authenticateJWT, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notifications'
+    });
+  }
+});
+
+const MAX_SAVED_SEARCHES = 20;
+
+const formatSavedSearch = (search) => ({
+  id: search._id,
+  name: search.name,
+  filters: Object.fromEntries(search.filters || []),
+  emailDigest: search.emailDigest,
+  frequency: search.frequency,
+  isActive: search.isActive,
+  lastRunAt: search.lastRunAt,
+  lastMatchCount: search.lastMatchCount,
+  createdAt: search.createdAt,
+  updatedAt: search.updatedAt
+});
+
+// Validate the name, filters and digest settings of a saved search payload
+const validateSavedSearch = async (body, { partial = false } = {}) => {
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else {
+      data.name = String(body.name).trim();
+    }
+  }
+
+  if (body.filters !== undefined || !partial) {
+    const filters = SavedSearch.pickFilters(body.filters || {});
+    if (Object.keys(filters).length === 0) {
+      errors.push({ field: 'filters', message: `At least one filter is required (${SAVED_SEARCH_FILTER_FIELDS.join(', ')})` });
+    } else {
+      const { errors: filterErrors } = await buildPropertyFilter(filters);
+      errors.push(...filterErrors);
+      data.filters = filters;
+    }
+  }
+
+  if (body.frequency !== undefined) {
+    if (!['daily', 'weekly'].includes(body.frequency)) {
+      errors.push({ field: 'frequency', message: 'Frequency must be either "daily" or "weekly"' });
+    } else {
+      data.frequency = body.frequency;
+    }
+  }
+  if (body.emailDigest !== undefined) data.emailDigest = Boolean(body.emailDigest);
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data, errors };
+};
+
+// Get user's saved searches
+router.get('/saved-searches', authenticateJWT, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      savedSearches: searches.map(formatSavedSearch)
+    });
+  } catch (error) {
+    logger.error('Get saved searches error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get saved searches'
+    });
+  }
+});
+
+// Save a search
+router.post('/saved-searches', authenticateJWT, async (req, res) => {
+  try {
+    const { data, errors } = await validateSavedSearch(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({ ...data, user: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    logger.error('Create saved search error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save search'
+    });
+  }
+});
+
+// Update a saved search
+router.put('/saved-searches/:searchId', authenticateJWT, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user.id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { data, errors } = await validateSavedSearch(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    // Re-enabling the digest starts from now rather than mailing the backlog
+    if ((data.emailDigest && !search.emailDigest) || (data.isActive && !search.isActive)) {
+      search.lastRunAt = new Date();
+    }
+    search.set(data);
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    logger.error('Update saved search error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved search'
+    });
+  }
+});
+
+// Delete a saved search
+router.delete('/saved-searches/:searchId', authenticateJWT, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, user: req.user.id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete saved search error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search'
+    });
+  }
+});
+
+// Run a saved search against the current listings
+router.get('/saved-searches/:searchId/results', authenticateJWT, async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user.id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { filter } = await buildPropertyFilter(Object.fromEntries(search.filters || []));
+    Object.assign(filter, PUBLISHED_FILTER);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [properties, total] = await Promise.all([
+      Managedproperty.find(filter)
+        .populate('city', 'name state localities')
+        .populate('category', 'name deepSubcategories')
+        .populate('builder', 'name slug privateDocuments')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Managedproperty.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      savedSearch: formatSavedSearch(search),
+      data: await addImageSets(properties.map(formatPropertyForListing), PROPERTY_IMAGE_FIELDS),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get saved search results error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get saved search results'
+    });
+  }
+});
+
+// Update a user's role (admin only). Builder partners also need the builderId of their builder.
+router.put('/users/:userId/role', authenticateJWT, authorize('users:manageRoles'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, builderId } = req.body;
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${Object.values(ROLES).join(', ')}`
+      });
+    }
+
+    if (userId === req.user.id && role !== ROLES.ADMIN) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role'
+      });
+    }
+
+    if (role === ROLES.BUILDER &&
+        (!mongoose.Types.ObjectId.isValid(builderId) || !(await Builder.exists({ _id: builderId })))) {
+      return res.status(400).json({
+        success: false,
+        error: 'builderId must be an existing builder for the builder role'
+      });
+    }
+
+    const update = role === ROLES.BUILDER
+      ? { role, builder: builderId }
+      : { role, $unset: { builder: 1 } };
+    const user = await User.findByIdAndUpdate(
+      userId,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    logger.info('User role updated', {
+      userId,
+      role,
+      updatedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully. It applies from the user\'s next token refresh.',
+      user: {
+        id: user._id,
+        name: user.name,
+        phoneNumber: user.phoneNumber,
+        role: user.role,
+        builder: user.builder || null
+      }
+    });
+  } catch (error) {
+    logger.error('Update user role error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user role'
+    });
+  }
+});
+
 export default router;
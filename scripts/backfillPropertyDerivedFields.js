@@ -0,0 +1,67 @@
+// Re-save every City and Managedproperty so the derived fields set in pre-save hooks
+// (city/locality slugs, property slug, areaRange, geoLocation parsed from googleMapUrl)
+// are populated for documents created before those fields existed. Legacy listings
+// are also marked as published, and every builder's project counters, properties and
+// locations are recomputed from its listings.
+// Usage: npm run backfill:properties
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import City from '../models/City.js';
+import builderStatsService from '../services/builderStatsService.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URL;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  logger.info('Backfill: connected to MongoDB');
+
+  // Cities first - property slugs include the locality and city names
+  for await (const city of City.find().cursor()) {
+    try {
+      await city.save({ validateBeforeSave: false });
+    } catch (error) {
+      logger.error('Backfill: failed to update city', { cityId: city._id.toString(), error: error.message });
+    }
+  }
+
+  // Listings created before the publication workflow were live - mark them published
+  const published = await Managedproperty.updateMany(
+    { publicationStatus: { $exists: false } },
+    { $set: { publicationStatus: 'published' } }
+  );
+  logger.info('Backfill: marked legacy listings as published', { count: published.modifiedCount });
+
+  let processed = 0;
+  let failed = 0;
+  const cursor = Managedproperty.find().cursor();
+
+  for await (const property of cursor) {
+    try {
+      // Skip validation so legacy documents missing newer required fields are still updated
+      await property.save({ validateBeforeSave: false });
+      processed++;
+    } catch (error) {
+      failed++;
+      logger.error('Backfill: failed to update property', { propertyId: property._id.toString(), error: error.message });
+    }
+  }
+
+  // Also covers builders without listings, which no property save refreshes
+  const builders = await builderStatsService.refreshAll();
+
+  logger.info('Backfill: completed', { processed, failed, builders });
+};
+
+run()
+  .catch((error) => {
+    logger.error('Backfill failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,102 @@
+// Generate thumb/card/full AVIF, WebP and JPEG variants for uploaded images that don't have them yet
+// (including images left in processing by a generation that never finished).
+// With --register-existing, images already referenced by properties, builders and cities (added before
+// the upload pipeline existed) are first registered as media assets so they get variants too.
+// Usage: npm run media:variants [-- --register-existing]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import MediaAsset from '../models/MediaAsset.js';
+import Managedproperty from '../models/property.js';
+import Builder from '../models/Builder.js';
+import City from '../models/City.js';
+import storageService from '../services/storageService.js';
+import imageVariantService from '../services/imageVariantService.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const REGISTER_SOURCES = [
+  {
+    entityType: 'property',
+    Model: Managedproperty,
+    fields: ['images', 'projectImages', 'projectLogo', 'wallpaperImage', 'descriptionImage', 'highlightImage']
+  },
+  { entityType: 'builder', Model: Builder, fields: ['logo', 'backgroundImage'] },
+  { entityType: 'city', Model: City, fields: ['backgroundImage'] }
+];
+
+// Create attached media assets for image URLs in our bucket that aren't tracked yet
+const registerExistingImages = async () => {
+  let registered = 0;
+
+  for (const { entityType, Model, fields } of REGISTER_SOURCES) {
+    const cursor = Model.find().select(fields.join(' ')).lean().cursor();
+    for await (const doc of cursor) {
+      for (const field of fields) {
+        for (const url of [].concat(doc[field] || []).filter(Boolean)) {
+          const key = storageService.keyFromUrl(url);
+          if (!key || await MediaAsset.exists({ key })) continue;
+
+          try {
+            const head = await storageService.headObject(key);
+            if (!head || !String(head.ContentType).startsWith('image/')) continue;
+
+            await MediaAsset.create({
+              key,
+              bucket: storageService.bucket,
+              url,
+              fileName: key.split('/').pop(),
+              mimeType: head.ContentType,
+              kind: 'image',
+              size: head.ContentLength,
+              etag: head.ETag,
+              status: 'attached',
+              attachedTo: { entityType, entityId: doc._id, field },
+              uploadedAt: head.LastModified,
+              attachedAt: new Date()
+            });
+            registered++;
+          } catch (error) {
+            logger.error('Image variants: failed to register image', { key, error: error.message });
+          }
+        }
+      }
+    }
+  }
+
+  logger.info('Image variants: registered existing images', { registered });
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URL;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+  if (!storageService.isConfigured()) {
+    throw new Error('S3_BUCKET environment variable is required');
+  }
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  if (process.argv.includes('--register-existing')) {
+    await registerExistingImages();
+  }
+
+  // Failed assets stay failed within a run, so stop once a batch makes no progress
+  const totals = { processed: 0, failed: 0 };
+  for (;;) {
+    const summary = await imageVariantService.processPending({ limit: 50 });
+    totals.processed += summary.processed;
+    totals.failed += summary.failed;
+    if (summary.processed === 0) break;
+  }
+
+  logger.info('Image variants: completed', totals);
+};
+
+run()
+  .catch((error) => {
+    logger.error('Image variant generation failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// Run the saved search digest once (the server also runs it daily, see DIGEST_SCHEDULE_TIME).
+// Usage: npm run digest:run
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runSavedSearchDigests } from '../jobs/savedSearchDigest.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URL;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  const summary = await runSavedSearchDigests();
+  logger.info('Saved search digest: completed', summary);
+};
+
+run()
+  .catch((error) => {
+    logger.error('Saved search digest failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
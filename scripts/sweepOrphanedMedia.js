@@ -0,0 +1,40 @@
+// Find (and with --delete, remove) S3 objects that no property, builder, city or home video references.
+// The server runs the same sweep daily, see MEDIA_SWEEP_SCHEDULE_TIME / MEDIA_SWEEP_MODE.
+// Usage: npm run media:sweep [-- --delete] [-- --grace-days=7]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runMediaSweep } from '../jobs/mediaSweep.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const argValue = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URL;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  const graceDays = Number(argValue('grace-days') ?? process.env.MEDIA_SWEEP_GRACE_DAYS ?? 7);
+  if (!Number.isFinite(graceDays) || graceDays < 0) {
+    throw new Error('--grace-days must be a number of days');
+  }
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  const report = await runMediaSweep({
+    reportOnly: !process.argv.includes('--delete'),
+    graceDays
+  });
+  logger.info('Media sweep: completed', report);
+};
+
+run()
+  .catch((error) => {
+    logger.error('Media sweep failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import Builder from '../models/Builder.js';
+import Managedproperty from '../models/property.js';
+import { PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import logger from '../utils/logger.js';
+
+// Property fields the builder statistics depend on; other edits don't trigger a refresh
+const STATS_FIELDS = ['type', 'builder', 'publicationStatus', 'possessionDate', 'city'];
+
+const builderIdOf = (snapshot) => (
+  snapshot && snapshot.type === 'builder' && snapshot.builder ? snapshot.builder.toString() : null
+);
+
+const currentMonth = (now) => `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+class BuilderStatsService {
+  /**
+   * Stage of a project from its possession date (YYYY-MM):
+   * completed once possession is due, ongoing while it is in the future,
+   * upcoming while no possession date has been announced
+   */
+  projectStage(property, now = new Date()) {
+    const possession = String(property.possessionDate || '').slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(possession)) return 'upcoming';
+    return possession <= currentMonth(now) ? 'completed' : 'ongoing';
+  }
+
+  /**
+   * Recompute the derived fields of a builder from its linked properties:
+   * properties (every builder listing), and totalProjects, completed/ongoing/upcomingProjects
+   * and locations (city names, most projects first) from the published ones
+   * @param {string|ObjectId} builderId
+   * @returns {Promise<Object|null>} - The derived values, or null for an unknown builder
+   */
+  async refresh(builderId) {
+    if (!builderId || !mongoose.Types.ObjectId.isValid(builderId)) return null;
+
+    const properties = await Managedproperty.find({ type: 'builder', builder: builderId })
+      .select('publicationStatus possessionDate city')
+      .populate('city', 'name')
+      .lean();
+
+    const published = properties.filter(property => (
+      PUBLISHED_FILTER.publicationStatus.$in.includes(property.publicationStatus ?? null)
+    ));
+
+    const stats = {
+      properties: properties.map(property => property._id),
+      totalProjects: published.length,
+      completedProjects: 0,
+      ongoingProjects: 0,
+      upcomingProjects: 0
+    };
+    const cityCounts = new Map();
+    for (const property of published) {
+      stats[`${this.projectStage(property)}Projects`]++;
+      const cityName = property.city?.name;
+      if (cityName) cityCounts.set(cityName, (cityCounts.get(cityName) || 0) + 1);
+    }
+    stats.locations = [...cityCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([cityName]) => cityName);
+
+    const result = await Builder.updateOne({ _id: builderId }, { $set: stats });
+    return result.matchedCount ? stats : null;
+  }
+
+  // Refresh every builder (backfill script, and the daily job - project stages move as possession dates pass)
+  async refreshAll() {
+    let refreshed = 0;
+    for await (const builder of Builder.find().select('_id').lean().cursor()) {
+      await this.refresh(builder._id);
+      refreshed++;
+    }
+    return refreshed;
+  }
+
+  /**
+   * Called after a property is saved with its snapshot before (null when created) and after the save.
+   * Refreshes the builder it belongs to, and the builder it was moved away from.
+   */
+  async handlePropertySaved(before, after) {
+    const changed = !before || STATS_FIELDS.some(field => (
+      JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    ));
+    if (!changed) return;
+
+    const builderIds = new Set([builderIdOf(before), builderIdOf(after)].filter(Boolean));
+    for (const builderId of builderIds) {
+      try {
+        await this.refresh(builderId);
+      } catch (error) {
+        logger.error('Failed to refresh builder statistics', { builderId, error: error.message });
+      }
+    }
+  }
+}
+
+export default new BuilderStatsService();
@@ -0,0 +1,52 @@
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * SMTP transport from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS.
+   * Point SMTP_HOST at a local catcher (e.g. MailHog on port 1025) in tests.
+   * Without SMTP_HOST, messages are rendered but not sent (JSON transport).
+   */
+  getTransporter() {
+    if (this.transporter) return this.transporter;
+
+    if (process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    } else {
+      logger.warn('SMTP_HOST not configured - emails will be logged instead of sent');
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return this.transporter;
+  }
+
+  // Replace the transport (e.g. with a stub in tests)
+  setTransporter(transporter) {
+    this.transporter = transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - to, subject, text, html
+   * @returns {Promise<Object>} - Transport result with messageId
+   */
+  async sendMail({ to, subject, text, html }) {
+    const from = process.env.SMTP_FROM || 'Urbanesta <no-reply@urbanesta.com>';
+    const info = await this.getTransporter().sendMail({ from, to, subject, text, html });
+    logger.info('Email sent', { to, subject, messageId: info.messageId });
+    return info;
+  }
+}
+
+export default new EmailService();
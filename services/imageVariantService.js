@@ -0,0 +1,134 @@
+import path from 'path';
+import sharp from 'sharp';
+import MediaAsset from '../models/MediaAsset.js';
+import storageService from './storageService.js';
+import logger from '../utils/logger.js';
+
+// Variant widths (px). Images are never enlarged, so small originals produce smaller variants.
+export const IMAGE_VARIANT_SIZES = {
+  thumb: 320,
+  card: 800,
+  full: 1920
+};
+
+// Output formats, most efficient first; jpeg is the fallback for browsers without AVIF/WebP
+export const IMAGE_VARIANT_FORMATS = {
+  avif: { contentType: 'image/avif', options: { quality: 50 } },
+  webp: { contentType: 'image/webp', options: { quality: 75 } },
+  jpeg: { contentType: 'image/jpeg', options: { quality: 80, mozjpeg: true } }
+};
+
+// Variants never change once written, so they can be cached forever
+const VARIANT_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// properties/2025/01/abc-photo.jpg -> properties/2025/01/variants/abc-photo-card.webp
+const variantKey = (key, name, format) => {
+  const directory = path.posix.dirname(key);
+  const base = path.posix.basename(key, path.posix.extname(key));
+  return `${directory}/variants/${base}-${name}.${format}`;
+};
+
+class ImageVariantService {
+  /**
+   * Generate and upload every size/format variant of an image asset
+   * @param {Object} asset - MediaAsset of kind image, already in S3
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async generateVariants(asset) {
+    if (asset.kind !== 'image') return asset;
+
+    asset.variantStatus = 'processing';
+    asset.variantError = undefined;
+    await asset.save();
+
+    try {
+      const original = await storageService.getObjectBuffer(asset.key);
+      // Apply the EXIF orientation once so every variant is upright
+      const source = sharp(original, { failOn: 'error' }).rotate();
+      const metadata = await sharp(original).metadata();
+      const upright = metadata.orientation >= 5;
+      asset.width = upright ? metadata.height : metadata.width;
+      asset.height = upright ? metadata.width : metadata.height;
+
+      const variants = [];
+      for (const [name, width] of Object.entries(IMAGE_VARIANT_SIZES)) {
+        for (const [format, { contentType, options }] of Object.entries(IMAGE_VARIANT_FORMATS)) {
+          const pipeline = source.clone().resize({ width, withoutEnlargement: true });
+          // JPEG has no transparency - put transparent PNGs on white rather than black
+          if (format === 'jpeg') pipeline.flatten({ background: '#ffffff' });
+          const { data, info } = await pipeline
+            .toFormat(format, options)
+            .toBuffer({ resolveWithObject: true });
+
+          const key = variantKey(asset.key, name, format);
+          await storageService.putObject(key, data, { contentType, cacheControl: VARIANT_CACHE_CONTROL });
+          variants.push({
+            name,
+            format,
+            width: info.width,
+            height: info.height,
+            key,
+            url: storageService.publicUrl(key),
+            size: info.size
+          });
+        }
+      }
+
+      asset.variants = variants;
+      asset.variantStatus = 'ready';
+      await asset.save();
+      logger.info('Image variants generated', { assetId: asset._id.toString(), count: variants.length });
+    } catch (error) {
+      asset.variantStatus = 'failed';
+      asset.variantError = error.message;
+      await asset.save();
+      logger.error('Image variant generation failed', { assetId: asset._id.toString(), error: error.message });
+    }
+
+    return asset;
+  }
+
+  // Generate in the background so the upload request isn't held up by image processing.
+  // Works on a fresh copy - the caller may still be saving its own instance of the asset.
+  queueVariants(asset) {
+    if (asset.kind !== 'image') return;
+    setImmediate(() => {
+      MediaAsset.findById(asset._id).then(fresh => fresh && this.generateVariants(fresh)).catch(error => {
+        logger.error('Image variant generation failed', { assetId: asset._id.toString(), error: error.message });
+      });
+    });
+  }
+
+  // Delete the variant objects of an asset (used when the asset itself is deleted)
+  async deleteVariants(asset) {
+    for (const variant of asset.variants || []) {
+      await storageService.deleteObject(variant.key);
+    }
+  }
+
+  /**
+   * Generate variants for image assets that don't have them yet, failed last time, or have been
+   * `processing` for longer than `staleAfterMs` (the process generating them stopped)
+   * @param {Object} options - limit, staleAfterMs
+   * @returns {Promise<{processed: number, failed: number}>}
+   */
+  async processPending({ limit = 100, staleAfterMs = 30 * 60 * 1000 } = {}) {
+    const assets = await MediaAsset.find({
+      kind: 'image',
+      status: { $in: ['uploaded', 'attached'] },
+      $or: [
+        { variantStatus: { $in: ['none', 'failed'] } },
+        { variantStatus: 'processing', updatedAt: { $lt: new Date(Date.now() - staleAfterMs) } }
+      ]
+    }).limit(limit);
+
+    const summary = { processed: 0, failed: 0 };
+    for (const asset of assets) {
+      await this.generateVariants(asset);
+      summary[asset.variantStatus === 'ready' ? 'processed' : 'failed']++;
+    }
+    return summary;
+  }
+}
+
+export default new ImageVariantService();
@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import LeadRoutingRule, { ROUTING_STRATEGIES } from '../models/LeadRoutingRule.js';
+import Managedproperty from '../models/property.js';
+import { User } from '../models/users.js';
+import { ROLES } from '../middleware/jwtAuth.js';
+import logger from '../utils/logger.js';
+
+// Roles leads can be assigned to
+const ASSIGNABLE_ROLES = [ROLES.ADMIN, ROLES.AGENT];
+
+// Lead statuses that count towards an agent's current load
+const OPEN_LEAD_STATUSES = ['new', 'contacted', 'qualified'];
+
+// Fields admins can set on a routing rule
+export const EDITABLE_RULE_FIELDS = ['name', 'isActive', 'order', 'conditions', 'strategy', 'agents'];
+
+const CONDITION_FIELDS = ['cities', 'builders', 'sources', 'priorities', 'properties'];
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isObjectId = (value) => !!value && mongoose.Types.ObjectId.isValid(String(value));
+
+const idStrings = (values = []) => values.map(value => String(value));
+
+class LeadAssignmentService {
+  /**
+   * Whether every condition of a rule matches a lead; empty conditions match anything
+   * @param {Object} rule - Routing rule
+   * @param {Object} lead - Lead document
+   * @param {Object|null} property - The lead's property (with builder), when it has one
+   */
+  ruleMatches(rule, lead, property) {
+    const { cities = [], builders = [], sources = [], priorities = [], properties = [] } = rule.conditions || {};
+    const leadCity = String(lead.city || '').trim().toLowerCase();
+
+    if (cities.length && !cities.some(city => city.toLowerCase() === leadCity)) return false;
+    if (sources.length && !sources.includes(lead.source)) return false;
+    if (priorities.length && !priorities.includes(lead.priority)) return false;
+    if (properties.length && !(lead.propertyId && idStrings(properties).includes(String(lead.propertyId)))) return false;
+    if (builders.length && !(property?.builder && idStrings(builders).includes(String(property.builder)))) return false;
+    return true;
+  }
+
+  // Active agents and admins of a rule's pool, in pool order
+  async eligibleAgents(rule) {
+    const users = await User.find({ _id: { $in: rule.agents }, isActive: true, role: { $in: ASSIGNABLE_ROLES } })
+      .select('_id')
+      .lean();
+    const active = new Set(users.map(user => user._id.toString()));
+    return [...new Set(idStrings(rule.agents))].filter(id => active.has(id));
+  }
+
+  /**
+   * Choose an agent from a rule's pool. Round robin goes by the rule's assignment counter;
+   * least load takes the agents with the fewest open leads and rotates among them by the counter,
+   * so simultaneous leads that see the same loads still spread over the tied agents.
+   * @param {string} strategy - round_robin or least_load
+   * @param {Array<string>} agents - Eligible agent ids, in pool order
+   * @param {Object} options - count: the rule's assignment counter including this lead,
+   *   loads: open leads per agent id (least_load)
+   * @returns {string}
+   */
+  chooseAgent(strategy, agents, { count, loads = new Map() }) {
+    let pool = agents;
+    if (strategy === 'least_load') {
+      const loadOf = (id) => loads.get(id) || 0;
+      const lowest = Math.min(...agents.map(loadOf));
+      pool = agents.filter(id => loadOf(id) === lowest);
+    }
+    return pool[(count - 1) % pool.length];
+  }
+
+  // Pick the agent for the next lead of a rule. The counter is incremented atomically, so
+  // concurrent leads each get their own position in the rotation.
+  async pickAgent(rule, agents) {
+    const updated = await LeadRoutingRule.findOneAndUpdate(
+      { _id: rule._id },
+      { $inc: { assignmentCount: 1 }, $set: { lastAssignedAt: new Date() } },
+      { new: true }
+    );
+
+    let loads;
+    if (rule.strategy === 'least_load') {
+      const counts = await Lead.aggregate([
+        {
+          $match: {
+            assignedTo: { $in: agents.map(id => new mongoose.Types.ObjectId(id)) },
+            status: { $in: OPEN_LEAD_STATUSES }
+          }
+        },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+      ]);
+      loads = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+    }
+    return this.chooseAgent(rule.strategy, agents, { count: updated.assignmentCount, loads });
+  }
+
+  // Set the assignee of a lead and append the history entry (the caller saves the lead)
+  recordAssignment(lead, assigneeId, { method, rule, strategy, assignedBy, reason } = {}) {
+    const entry = {
+      assignedTo: assigneeId || null,
+      previousAssignee: lead.assignedTo || null,
+      method,
+      rule,
+      strategy,
+      assignedBy: assignedBy || null,
+      reason,
+      at: new Date()
+    };
+    lead.assignedTo = entry.assignedTo;
+    lead.assignedAt = assigneeId ? entry.at : null;
+    lead.assignmentHistory.push(entry);
+    return entry;
+  }
+
+  // Assign a new lead in the background, so the request that captured it doesn't wait on routing
+  queueNewLead(lead) {
+    setImmediate(() => {
+      Lead.findById(lead._id).then(fresh => fresh && this.assignNewLead(fresh)).catch(error => {
+        logger.error('Lead assignment failed', { leadId: lead._id.toString(), error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Assign a new lead with the first matching routing rule. Never throws - the lead is already
+   * stored and stays unassigned when no rule applies or routing fails.
+   * @param {Object} lead - Saved Lead document
+   * @returns {Promise<Object|null>} - The assignment history entry, or null when the lead wasn't assigned
+   */
+  async assignNewLead(lead) {
+    try {
+      if (lead.assignedTo) return null;
+
+      const rules = await LeadRoutingRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+      if (rules.length === 0) return null;
+
+      const needsProperty = isObjectId(lead.propertyId) && rules.some(rule => rule.conditions?.builders?.length);
+      const property = needsProperty
+        ? await Managedproperty.findById(lead.propertyId).select('builder').lean()
+        : null;
+
+      for (const rule of rules) {
+        if (!this.ruleMatches(rule, lead, property)) continue;
+
+        const agents = await this.eligibleAgents(rule);
+        if (agents.length === 0) {
+          logger.warn('Lead routing rule has no active agents', { ruleId: rule._id.toString(), name: rule.name });
+          continue;
+        }
+
+        const agentId = await this.pickAgent(rule, agents);
+        const entry = this.recordAssignment(lead, agentId, {
+          method: 'rule',
+          rule: rule._id,
+          strategy: rule.strategy
+        });
+        try {
+          await lead.save();
+        } catch (error) {
+          // The lead stays unassigned, so it doesn't count for the rule
+          await LeadRoutingRule.updateOne({ _id: rule._id }, { $inc: { assignmentCount: -1 } });
+          throw error;
+        }
+
+        logger.info('Lead assigned by routing rule', {
+          leadId: lead._id.toString(),
+          ruleId: rule._id.toString(),
+          strategy: rule.strategy,
+          assignedTo: agentId
+        });
+        return entry;
+      }
+
+      logger.info('No lead routing rule matched', { leadId: lead._id.toString(), city: lead.city, source: lead.source });
+      return null;
+    } catch (error) {
+      logger.error('Lead assignment failed', { leadId: lead._id?.toString(), error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Manually (re)assign a lead, or unassign it with a null assignee
+   * @param {string} leadId
+   * @param {string|null} assigneeId - Active agent or admin
+   * @param {Object} options - assignedBy: acting user id, reason: optional note for the history
+   * @returns {Promise<Object>} - The updated lead
+   */
+  async reassign(leadId, assigneeId, { assignedBy, reason } = {}) {
+    if (assigneeId) {
+      const assignee = isObjectId(assigneeId)
+        ? await User.findById(assigneeId).select('role isActive')
+        : null;
+      if (!assignee || !assignee.isActive || !ASSIGNABLE_ROLES.includes(assignee.role)) {
+        throw serviceError('Leads can only be assigned to active agents or admins', 400);
+      }
+    }
+
+    const lead = isObjectId(leadId) ? await Lead.findById(leadId) : null;
+    if (!lead) {
+      throw serviceError('Lead not found', 404);
+    }
+
+    this.recordAssignment(lead, assigneeId || null, {
+      method: 'manual',
+      assignedBy,
+      reason: typeof reason === 'string' ? reason : undefined
+    });
+    await lead.save();
+    return lead;
+  }
+
+  /**
+   * Validate a routing rule as it would be saved
+   * @param {Object} data - Rule fields (for updates, the existing rule merged with the changes)
+   * @returns {Promise<Array<{field: string, message: string}>>} - Empty when valid
+   */
+  async validateRule(data) {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (!data.name || !String(data.name).trim()) addError('name', 'Name is required');
+    if (data.strategy !== undefined && !ROUTING_STRATEGIES.includes(data.strategy)) {
+      addError('strategy', `Strategy must be one of ${ROUTING_STRATEGIES.join(', ')}`);
+    }
+    if (data.order !== undefined && isNaN(Number(data.order))) addError('order', 'Order must be a number');
+
+    const conditions = data.conditions || {};
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      addError('conditions', 'Conditions must be an object');
+    } else {
+      for (const field of CONDITION_FIELDS) {
+        const values = conditions[field];
+        if (values !== undefined && !Array.isArray(values)) {
+          addError(`conditions.${field}`, `${field} must be an array`);
+        }
+      }
+      const sources = Lead.schema.path('source').enumValues;
+      const priorities = Lead.schema.path('priority').enumValues;
+      if (Array.isArray(conditions.sources) && conditions.sources.some(source => !sources.includes(source))) {
+        addError('conditions.sources', `Sources must be among ${sources.join(', ')}`);
+      }
+      if (Array.isArray(conditions.priorities) && conditions.priorities.some(priority => !priorities.includes(priority))) {
+        addError('conditions.priorities', `Priorities must be among ${priorities.join(', ')}`);
+      }
+      for (const field of ['builders', 'properties']) {
+        if (Array.isArray(conditions[field]) && !conditions[field].every(isObjectId)) {
+          addError(`conditions.${field}`, `${field} must be valid IDs`);
+        }
+      }
+    }
+
+    if (!Array.isArray(data.agents) || data.agents.length === 0) {
+      addError('agents', 'At least one agent is required');
+    } else if (!data.agents.every(isObjectId)) {
+      addError('agents', 'Agents must be valid user IDs');
+    } else {
+      const ids = [...new Set(idStrings(data.agents))];
+      const count = await User.countDocuments({ _id: { $in: ids }, isActive: true, role: { $in: ASSIGNABLE_ROLES } });
+      if (count !== ids.length) addError('agents', 'Agents must be active agents or admins');
+    }
+
+    return errors;
+  }
+}
+
+export default new LeadAssignmentService();
@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import Category from '../models/category.js';
+import City from '../models/City.js';
+import PriceHistory from '../models/PriceHistory.js';
+import PropertyHistory from '../models/PropertyHistory.js';
+import MarketInsight from '../models/MarketInsight.js';
+import { PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TREND_MONTHS = 12;
+const OFF_MARKET_STATUSES = ['sold', 'rented'];
+const PROPERTY_ACTIONS = ['Sale', 'Rent'];
+
+// Cached insights older than this are recomputed on request (the scheduled refresh runs daily)
+const maxAgeMs = () => (Number(process.env.MARKET_INSIGHTS_MAX_AGE_HOURS) || 36) * HOUR_MS;
+
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Quantile of a sorted array with linear interpolation
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const distribution = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    sampleSize: sorted.length,
+    p25: sorted.length ? round(quantile(sorted, 0.25)) : null,
+    median: sorted.length ? round(quantile(sorted, 0.5)) : null,
+    p75: sorted.length ? round(quantile(sorted, 0.75)) : null
+  };
+};
+
+const ratio = (part, total) => (total > 0 ? round(part / total, 4) : null);
+
+const percentChange = (from, to) => (
+  from && to !== null && to !== undefined ? round(((to - from) / from) * 100, 1) : null
+);
+
+const monthKey = (date) => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+// The last TREND_MONTHS calendar months (UTC), oldest first, including the current one
+const trendMonths = (now) => Array.from({ length: TREND_MONTHS }, (_, index) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (TREND_MONTHS - 1 - index), 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return { key: monthKey(start), start, end };
+});
+
+const pricePerSqft = (price, area) => (price > 0 && area > 0 ? price / area : null);
+
+const median = (values) => (values.length ? round(quantile([...values].sort((a, b) => a - b), 0.5)) : null);
+
+class MarketInsightsService {
+  constructor() {
+    // Cities being recomputed, so concurrent requests for a stale city share one computation
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Insights for a city, or for one of its localities. Served from the cache while it is fresh,
+   * recomputed (for the whole city) otherwise.
+   * @param {string} cityId
+   * @param {string|null} localityId
+   * @returns {Promise<Object|null>} - null when the city or locality doesn't exist or is deactivated
+   */
+  async getInsights(cityId, localityId = null) {
+    if (!mongoose.Types.ObjectId.isValid(cityId)) return null;
+    const locality = localityId ? String(localityId) : null;
+
+    const active = await City.exists({
+      _id: cityId,
+      isActive: { $ne: false },
+      ...(locality && { localities: { $elemMatch: { _id: locality, isActive: { $ne: false } } } })
+    });
+    if (!active) return null;
+
+    const cached = await MarketInsight.findOne({ city: cityId, locality }).lean();
+    if (cached && Date.now() - new Date(cached.computedAt).getTime() < maxAgeMs()) {
+      return { ...cached.data, computedAt: cached.computedAt };
+    }
+
+    const city = await City.findById(cityId);
+    if (!city || (locality && !city.localities.id(locality))) return null;
+
+    const results = await this.refreshCity(city);
+    return results.get(locality) || null;
+  }
+
+  /**
+   * Recompute and cache the insights of a city and all its localities
+   * @param {Object} city - City document
+   * @returns {Promise<Map<string|null, Object>>} - Insights by locality id (null for the city)
+   */
+  async refreshCity(city) {
+    const cityId = city._id.toString();
+    if (!this.inFlight.has(cityId)) {
+      this.inFlight.set(cityId, this.computeCity(city).finally(() => this.inFlight.delete(cityId)));
+    }
+    return this.inFlight.get(cityId);
+  }
+
+  // Refresh every active city (scheduled job)
+  async refreshAll() {
+    const summary = { cities: 0, localities: 0, failed: 0 };
+    for await (const city of City.find({ isActive: true }).cursor()) {
+      try {
+        const results = await this.refreshCity(city);
+        summary.cities++;
+        summary.localities += results.size - 1;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to refresh market insights', { cityId: city._id.toString(), error: error.message });
+      }
+    }
+    return summary;
+  }
+
+  async computeCity(city, now = new Date()) {
+    const properties = await Managedproperty.find({ type: 'regular', city: city._id, ...PUBLISHED_FILTER })
+      .select('category location propertyAction status price area createdAt')
+      .lean();
+    const propertyIds = properties.map(property => property._id);
+    const categoryIds = [...new Set(properties.map(property => String(property.category)))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    const [categories, priceRecords, statusVersions] = await Promise.all([
+      Category.find({ _id: { $in: categoryIds } })
+        .select('name')
+        .lean(),
+      PriceHistory.find({ propertyId: { $in: propertyIds }, price: { $ne: null } })
+        .select('propertyId price recordedAt')
+        .sort({ recordedAt: 1 })
+        .lean(),
+      PropertyHistory.find({ propertyId: { $in: propertyIds }, 'changes.field': 'status' })
+        .select('propertyId changes createdAt')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    const context = {
+      months: trendMonths(now),
+      categoryNames: new Map(categories.map(category => [category._id.toString(), category.name])),
+      priceSeries: new Map(),
+      statusEvents: new Map()
+    };
+    for (const record of priceRecords) {
+      const id = record.propertyId.toString();
+      if (!context.priceSeries.has(id)) context.priceSeries.set(id, []);
+      context.priceSeries.get(id).push(record);
+    }
+    for (const version of statusVersions) {
+      const change = version.changes.find(entry => entry.field === 'status');
+      const id = version.propertyId.toString();
+      if (!context.statusEvents.has(id)) context.statusEvents.set(id, []);
+      context.statusEvents.get(id).push({ status: change.to, at: new Date(version.createdAt) });
+    }
+
+    const cityInfo = { _id: city._id, name: city.name, slug: city.slug, state: city.state };
+    const results = new Map();
+    results.set(null, { scope: 'city', city: cityInfo, ...this.summarize(properties, context) });
+
+    const byLocality = new Map();
+    for (const property of properties) {
+      if (!byLocality.has(property.location)) byLocality.set(property.location, []);
+      byLocality.get(property.location).push(property);
+    }
+    for (const locality of city.localities) {
+      const id = locality._id.toString();
+      results.set(id, {
+        scope: 'locality',
+        city: cityInfo,
+        locality: { _id: locality._id, name: locality.name, slug: locality.slug },
+        ...this.summarize(byLocality.get(id) || [], context)
+      });
+    }
+
+    await MarketInsight.bulkWrite([...results.entries()].map(([locality, data]) => ({
+      updateOne: {
+        filter: { city: city._id, locality },
+        update: { $set: { data, computedAt: now } },
+        upsert: true
+      }
+    })));
+    // Localities that were merged or removed since the last run
+    await MarketInsight.deleteMany({
+      city: city._id,
+      locality: { $nin: [null, ...city.localities.map(locality => locality._id.toString())] }
+    });
+
+    for (const [locality, data] of results) {
+      results.set(locality, { ...data, computedAt: now });
+    }
+    return results;
+  }
+
+  /**
+   * Insights for a set of regular listings: price per sqft quartiles by category and action,
+   * inventory by action, sold/rented ratios and monthly trends
+   */
+  summarize(properties, context) {
+    const inventory = Object.fromEntries(PROPERTY_ACTIONS.map(action => [
+      action,
+      { total: 0, available: 0, sold: 0, rented: 0 }
+    ]));
+    const listings = { total: properties.length, available: 0, sold: 0, rented: 0 };
+    const pricesByGroup = new Map();
+
+    for (const property of properties) {
+      const status = property.status || 'available';
+      if (listings[status] !== undefined) listings[status]++;
+      const bucket = inventory[property.propertyAction];
+      if (bucket) {
+        bucket.total++;
+        if (bucket[status] !== undefined) bucket[status]++;
+      }
+
+      const value = pricePerSqft(property.price, property.area);
+      if (value !== null && bucket) {
+        const key = `${property.category}|${property.propertyAction}`;
+        if (!pricesByGroup.has(key)) pricesByGroup.set(key, []);
+        pricesByGroup.get(key).push(value);
+      }
+    }
+
+    const pricePerSqftByCategory = [...pricesByGroup.entries()]
+      .map(([key, values]) => {
+        const [categoryId, propertyAction] = key.split('|');
+        return {
+          category: { _id: categoryId, name: context.categoryNames.get(categoryId) || null },
+          propertyAction,
+          ...distribution(values)
+        };
+      })
+      .sort((a, b) => (
+        String(a.category.name).localeCompare(String(b.category.name)) ||
+        a.propertyAction.localeCompare(b.propertyAction)
+      ));
+
+    return {
+      listings,
+      byPropertyAction: inventory,
+      ratios: {
+        sold: ratio(inventory.Sale.sold, inventory.Sale.total),
+        rented: ratio(inventory.Rent.rented, inventory.Rent.total)
+      },
+      pricePerSqft: pricePerSqftByCategory,
+      trends: this.trends(properties, context)
+    };
+  }
+
+  /**
+   * Month-by-month series: new listings, listings sold/rented (from the property history) and the
+   * median asking price per sqft of the listings on the market at month end (from the price history)
+   */
+  trends(properties, { months, priceSeries, statusEvents }) {
+    const series = months.map(month => ({
+      month: month.key,
+      newListings: 0,
+      sold: 0,
+      rented: 0,
+      pricesPerSqft: { Sale: [], Rent: [] }
+    }));
+    const indexOfMonth = new Map(months.map((month, index) => [month.key, index]));
+
+    for (const property of properties) {
+      const id = property._id.toString();
+      const createdAt = new Date(property.createdAt);
+      const createdIndex = indexOfMonth.get(monthKey(createdAt));
+      if (createdIndex !== undefined) series[createdIndex].newListings++;
+
+      const events = statusEvents.get(id) || [];
+      for (const event of events) {
+        const eventIndex = indexOfMonth.get(monthKey(event.at));
+        if (eventIndex !== undefined && OFF_MARKET_STATUSES.includes(event.status)) {
+          series[eventIndex][event.status]++;
+        }
+      }
+      // When the listing last went off the market (sold/rented before the history existed counts as long ago)
+      let offMarketAt = null;
+      if (OFF_MARKET_STATUSES.includes(property.status)) {
+        const lastOff = [...events].reverse().find(event => OFF_MARKET_STATUSES.includes(event.status));
+        offMarketAt = lastOff ? lastOff.at : new Date(0);
+      }
+
+      if (!property.area || !PROPERTY_ACTIONS.includes(property.propertyAction)) continue;
+      const prices = priceSeries.get(id) || [];
+      months.forEach((month, index) => {
+        if (createdAt >= month.end || (offMarketAt && offMarketAt < month.start)) return;
+        // Price as of month end; listings without history (or with history starting later) use the earliest known price
+        const asOf = [...prices].reverse().find(record => new Date(record.recordedAt) < month.end);
+        const price = asOf ? asOf.price : (prices[0]?.price ?? property.price);
+        const value = pricePerSqft(price, property.area);
+        if (value !== null) series[index].pricesPerSqft[property.propertyAction].push(value);
+      });
+    }
+
+    return series.map((entry, index) => {
+      const medians = Object.fromEntries(PROPERTY_ACTIONS.map(action => [action, median(entry.pricesPerSqft[action])]));
+      const previous = index > 0 ? series[index - 1] : null;
+      return {
+        month: entry.month,
+        newListings: entry.newListings,
+        sold: entry.sold,
+        rented: entry.rented,
+        medianPricePerSqft: medians,
+        // Month-over-month change of the median price per sqft, in percent
+        change: Object.fromEntries(PROPERTY_ACTIONS.map(action => [
+          action,
+          previous ? percentChange(median(previous.pricesPerSqft[action]), medians[action]) : null
+        ]))
+      };
+    });
+  }
+}
+
+export default new MarketInsightsService();
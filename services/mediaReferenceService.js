@@ -0,0 +1,185 @@
+import MediaAsset from '../models/MediaAsset.js';
+import Managedproperty from '../models/property.js';
+import Builder from '../models/Builder.js';
+import City from '../models/City.js';
+import HomeVideo from '../models/HomeVideo.js';
+import PropertyHistory from '../models/PropertyHistory.js';
+import storageService from './storageService.js';
+import logger from '../utils/logger.js';
+
+// Document fields that hold media URLs. HomeVideo also stores the raw object key.
+export const MEDIA_REFERENCE_SOURCES = {
+  property: {
+    Model: Managedproperty,
+    fields: [
+      'images',
+      'projectImages',
+      'projectLogo',
+      'wallpaperImage',
+      'descriptionImage',
+      'highlightImage',
+      'floorPlan',
+      'masterPlan',
+      'brochure',
+      'unitDetails.floorPlan'
+    ]
+  },
+  builder: { Model: Builder, fields: ['logo', 'backgroundImage'] },
+  city: { Model: City, fields: ['backgroundImage'] },
+  homeVideo: { Model: HomeVideo, fields: ['url'], keyFields: ['key'] }
+};
+
+/**
+ * S3 object key for a stored S3 URL or the CloudFront URL it was converted to
+ * (null for URLs outside our bucket)
+ */
+export function mediaKeyFromUrl(url) {
+  if (!url) return null;
+  if (url.includes('cloudfront.net')) {
+    try {
+      return decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '') || null;
+    } catch {
+      return null;
+    }
+  }
+  return storageService.keyFromUrl(url);
+}
+
+// Values at a dotted path, flattening arrays along the way (unitDetails.floorPlan -> every unit's plan)
+const valuesAt = (doc, fieldPath) => fieldPath.split('.').reduce(
+  (values, part) => values.flatMap(value => (value == null ? [] : [].concat(value[part] ?? []))),
+  [doc]
+).filter(Boolean);
+
+const kindForContentType = (contentType = '') => {
+  if (contentType.startsWith('image/')) return 'image';
+  if (contentType.startsWith('video/')) return 'video';
+  return 'document';
+};
+
+class MediaReferenceService {
+  /**
+   * Object keys referenced by one document
+   * @param {string} entityType - property, builder, city or homeVideo
+   * @param {Object} doc - Document or lean object
+   * @returns {Map<string, string>} - key -> URL as stored on the document
+   */
+  keysForDocument(entityType, doc) {
+    const { fields, keyFields = [] } = MEDIA_REFERENCE_SOURCES[entityType];
+    const keys = new Map();
+    for (const field of fields) {
+      for (const url of valuesAt(doc, field)) {
+        const key = mediaKeyFromUrl(url);
+        if (key) keys.set(key, url);
+      }
+    }
+    for (const field of keyFields) {
+      for (const key of valuesAt(doc, field)) {
+        if (!keys.has(key)) keys.set(key, storageService.publicUrl(key));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Every object key currently referenced by a property, builder, city or home video, or by a
+   * history version of an existing property (restoring the version brings the media back),
+   * plus the variant keys of referenced images
+   * @returns {Promise<Set<string>>}
+   */
+  async collectReferencedKeys() {
+    const referenced = new Set();
+    const propertyIds = new Set();
+
+    for (const [entityType, { Model, fields, keyFields = [] }] of Object.entries(MEDIA_REFERENCE_SOURCES)) {
+      const cursor = Model.find().select([...fields, ...keyFields].join(' ')).lean().cursor();
+      for await (const doc of cursor) {
+        if (entityType === 'property') propertyIds.add(doc._id.toString());
+        for (const key of this.keysForDocument(entityType, doc).keys()) {
+          referenced.add(key);
+        }
+      }
+    }
+
+    // Versions of deleted properties can't be restored, so they don't keep media alive
+    const historyFields = MEDIA_REFERENCE_SOURCES.property.fields.map(field => `snapshot.${field}`);
+    const historyCursor = PropertyHistory.find().select(['propertyId', ...historyFields].join(' ')).lean().cursor();
+    for await (const version of historyCursor) {
+      if (!propertyIds.has(String(version.propertyId))) continue;
+      for (const key of this.keysForDocument('property', version.snapshot || {}).keys()) {
+        referenced.add(key);
+      }
+    }
+
+    const imageCursor = MediaAsset.find({ kind: 'image', 'variants.0': { $exists: true } })
+      .select('key variants.key')
+      .lean()
+      .cursor();
+    for await (const asset of imageCursor) {
+      if (!referenced.has(asset.key)) continue;
+      for (const variant of asset.variants) {
+        referenced.add(variant.key);
+      }
+    }
+
+    return referenced;
+  }
+
+  /**
+   * Mark the media of a deleted document as detached, which starts its grace period
+   * before the orphaned media sweep may delete it. Objects that aren't tracked yet
+   * (uploaded before media assets existed) are registered so they get the same grace period.
+   * Never throws - a failure here must not fail the delete itself.
+   * @param {string} entityType - property, builder, city or homeVideo
+   * @param {Object} doc - The deleted document
+   * @returns {Promise<number>} - Number of assets detached
+   */
+  async releaseDocument(entityType, doc) {
+    if (!storageService.isConfigured()) return 0;
+
+    let released = 0;
+    const now = new Date();
+
+    for (const [key, url] of this.keysForDocument(entityType, doc)) {
+      try {
+        const asset = await MediaAsset.findOne({ key, status: { $ne: 'deleted' } });
+        if (asset) {
+          if (asset.status === 'pending') continue;
+          asset.status = 'uploaded';
+          asset.attachedTo = undefined;
+          asset.detachedAt = now;
+          await asset.save();
+          released++;
+          continue;
+        }
+
+        const head = await storageService.headObject(key);
+        if (!head) continue;
+
+        await MediaAsset.create({
+          key,
+          bucket: storageService.bucket,
+          url,
+          fileName: key.split('/').pop(),
+          mimeType: head.ContentType || 'application/octet-stream',
+          kind: kindForContentType(head.ContentType),
+          size: head.ContentLength,
+          etag: head.ETag,
+          status: 'uploaded',
+          uploadedAt: head.LastModified,
+          detachedAt: now
+        });
+        released++;
+      } catch (error) {
+        logger.error('Failed to release media reference', { entityType, key, error: error.message });
+      }
+    }
+
+    if (released) {
+      logger.info('Media released', { entityType, entityId: doc._id?.toString(), released });
+    }
+    return released;
+  }
+}
+
+export default new MediaReferenceService();
@@ -0,0 +1,357 @@
+import crypto from 'crypto';
+import path from 'path';
+import mongoose from 'mongoose';
+import MediaAsset from '../models/MediaAsset.js';
+import Managedproperty from '../models/property.js';
+import Builder from '../models/Builder.js';
+import City from '../models/City.js';
+import HomeVideo from '../models/HomeVideo.js';
+import { actorFromUser } from '../models/PropertyHistory.js';
+import { hasPermission } from '../middleware/jwtAuth.js';
+import { canEditProperty } from '../utils/propertyAccess.js';
+import { isCloudFrontSigningConfigured } from '../utils/cloudfront.js';
+import { PRIVATE_DOCUMENT_FOLDER } from '../utils/privateDocuments.js';
+import storageService from './storageService.js';
+import imageVariantService from './imageVariantService.js';
+import logger from '../utils/logger.js';
+
+// Allowed MIME types and maximum size per kind of upload
+export const UPLOAD_KINDS = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/avif'],
+    maxSize: 10 * 1024 * 1024
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/webm', 'video/quicktime'],
+    maxSize: 200 * 1024 * 1024
+  },
+  document: {
+    mimeTypes: ['application/pdf'],
+    maxSize: 25 * 1024 * 1024
+  }
+};
+
+/**
+ * Fields media can be attached to. `multiple` fields are arrays the URL is appended to;
+ * the others are replaced. `permission` is required on top of authentication (property
+ * fields instead require the owner, properties:manageAny or a partner of the property's builder).
+ * `private` fields are uploaded to PRIVATE_DOCUMENT_FOLDER while CloudFront signing is configured.
+ */
+export const ATTACHMENT_TARGETS = {
+  property: {
+    folder: 'properties',
+    fields: {
+      images: { kinds: ['image'], multiple: true },
+      projectImages: { kinds: ['image'], multiple: true },
+      projectLogo: { kinds: ['image'] },
+      wallpaperImage: { kinds: ['image'] },
+      descriptionImage: { kinds: ['image'] },
+      highlightImage: { kinds: ['image'] },
+      floorPlan: { kinds: ['image', 'document'], private: true },
+      masterPlan: { kinds: ['image', 'document'], private: true },
+      brochure: { kinds: ['document'], private: true },
+      'unitDetails.floorPlan': { kinds: ['image', 'document'], unit: true, private: true }
+    }
+  },
+  builder: {
+    folder: 'builders',
+    permission: 'builders:manage',
+    fields: {
+      logo: { kinds: ['image'] },
+      backgroundImage: { kinds: ['image'] }
+    }
+  },
+  city: {
+    folder: 'cities',
+    permission: 'cities:manage',
+    fields: {
+      backgroundImage: { kinds: ['image'] }
+    }
+  },
+  homeVideo: {
+    folder: 'home-videos',
+    permission: 'homeVideos:manage',
+    fields: {
+      url: { kinds: ['video'] }
+    }
+  }
+};
+
+const PRESIGN_EXPIRES_IN = 10 * 60; // seconds
+
+const serviceError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const kindForMimeType = (mimeType) => (
+  Object.keys(UPLOAD_KINDS).find(kind => UPLOAD_KINDS[kind].mimeTypes.includes(mimeType)) || null
+);
+
+// Keep the original name readable in the key, without characters that need escaping
+const safeFileName = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(fileName || 'file', path.extname(fileName || ''))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${base || 'file'}${extension}`;
+};
+
+const resolveTarget = (entityType, field) => {
+  const target = ATTACHMENT_TARGETS[entityType];
+  const fieldRule = target && target.fields[field];
+  if (!fieldRule) {
+    throw serviceError('Invalid upload target', 400, {
+      entityType,
+      field,
+      allowed: Object.fromEntries(Object.entries(ATTACHMENT_TARGETS).map(([type, { fields }]) => [type, Object.keys(fields)]))
+    });
+  }
+  return { target, fieldRule };
+};
+
+class MediaService {
+  /**
+   * Validate an upload request and issue a presigned PUT URL
+   * @param {Object} request - fileName, mimeType, size, entityType, field
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} - asset plus upload instructions
+   */
+  async createUpload({ fileName, mimeType, size, entityType, field }, user) {
+    if (!storageService.isConfigured()) {
+      throw serviceError('Media uploads are not configured (S3_BUCKET is not set)', 503);
+    }
+
+    const { target, fieldRule } = resolveTarget(entityType, field);
+    if (target.permission && !hasPermission(user, target.permission)) {
+      throw serviceError('You do not have permission to upload media for this target', 403);
+    }
+
+    const kind = kindForMimeType(mimeType);
+    if (!kind || !fieldRule.kinds.includes(kind)) {
+      const allowed = fieldRule.kinds.flatMap(allowedKind => UPLOAD_KINDS[allowedKind].mimeTypes);
+      throw serviceError(`File type must be one of: ${allowed.join(', ')}`, 400);
+    }
+
+    const byteSize = Number(size);
+    if (!Number.isInteger(byteSize) || byteSize <= 0) {
+      throw serviceError('Size must be the file size in bytes', 400);
+    }
+    if (byteSize > UPLOAD_KINDS[kind].maxSize) {
+      throw serviceError(`File must be ${Math.round(UPLOAD_KINDS[kind].maxSize / (1024 * 1024))} MB or smaller`, 400);
+    }
+
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    // Documents a builder may make private never go to a folder the public CDN serves
+    const folder = fieldRule.private && isCloudFrontSigningConfigured()
+      ? `${PRIVATE_DOCUMENT_FOLDER}/${target.folder}`
+      : target.folder;
+    const key = `${folder}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}-${safeFileName(fileName)}`;
+
+    const asset = await MediaAsset.create({
+      key,
+      bucket: storageService.bucket,
+      url: storageService.publicUrl(key),
+      fileName,
+      mimeType,
+      kind,
+      size: byteSize,
+      target: { entityType, field },
+      uploadedBy: user.id
+    });
+
+    const uploadUrl = await storageService.presignPut(key, {
+      contentType: mimeType,
+      contentLength: byteSize,
+      expiresIn: PRESIGN_EXPIRES_IN
+    });
+
+    return {
+      asset,
+      upload: {
+        url: uploadUrl,
+        method: 'PUT',
+        headers: { 'Content-Type': mimeType },
+        expiresIn: PRESIGN_EXPIRES_IN
+      }
+    };
+  }
+
+  // Load an asset the user may act on (their own uploads; admins can act on any)
+  async getAssetForUser(assetId, user) {
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      throw serviceError('Invalid media ID', 400);
+    }
+    const asset = await MediaAsset.findById(assetId);
+    if (!asset || asset.status === 'deleted') {
+      throw serviceError('Media not found', 404);
+    }
+    if (asset.uploadedBy?.toString() !== user.id && !hasPermission(user, 'media:manageAny')) {
+      throw serviceError('You do not have permission to use this media', 403);
+    }
+    return asset;
+  }
+
+  /**
+   * Confirm the object reached S3 with the declared type and size
+   * @returns {Promise<Object>} - Updated asset
+   */
+  async completeUpload(asset) {
+    if (asset.status !== 'pending') return asset;
+
+    const head = await storageService.headObject(asset.key);
+    if (!head) {
+      throw serviceError('The file has not been uploaded yet', 409);
+    }
+    if (head.ContentLength !== asset.size || (head.ContentType && head.ContentType !== asset.mimeType)) {
+      await storageService.deleteObject(asset.key);
+      asset.status = 'deleted';
+      asset.deletedAt = new Date();
+      await asset.save();
+      throw serviceError('Uploaded file does not match the declared type or size', 400);
+    }
+
+    asset.status = 'uploaded';
+    asset.etag = head.ETag;
+    asset.uploadedAt = new Date();
+    await asset.save();
+
+    imageVariantService.queueVariants(asset);
+    return asset;
+  }
+
+  /**
+   * Attach an uploaded asset to a document field
+   * @param {Object} asset - MediaAsset
+   * @param {Object} attachment - entityType, entityId (not needed for a new home video), field, unitId
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} - The updated (or created) document
+   */
+  async attach(asset, { entityType, entityId, field, unitId }, user) {
+    const { target, fieldRule } = resolveTarget(entityType, field);
+    if (!fieldRule.kinds.includes(asset.kind)) {
+      throw serviceError(`A ${asset.kind} cannot be attached to ${entityType}.${field}`, 400);
+    }
+    if (target.permission && !hasPermission(user, target.permission)) {
+      throw serviceError('You do not have permission to attach media to this target', 403);
+    }
+    if (asset.status === 'attached') {
+      throw serviceError('Media is already attached', 409);
+    }
+
+    await this.completeUpload(asset);
+
+    let entity;
+    switch (entityType) {
+      case 'property':
+        entity = await this.attachToProperty(asset, entityId, field, fieldRule, unitId, user);
+        break;
+      case 'builder':
+        entity = await this.attachToDocument(Builder, asset, entityId, field, 'Builder');
+        break;
+      case 'city':
+        entity = await this.attachToDocument(City, asset, entityId, field, 'City');
+        break;
+      case 'homeVideo':
+        entity = await this.attachToHomeVideo(asset, entityId, user);
+        break;
+    }
+
+    asset.status = 'attached';
+    asset.attachedTo = { entityType, entityId: entity._id, field };
+    asset.attachedAt = new Date();
+    await asset.save();
+
+    logger.info('Media attached', {
+      assetId: asset._id.toString(),
+      entityType,
+      entityId: entity._id.toString(),
+      field,
+      userId: user.id
+    });
+
+    return entity;
+  }
+
+  async attachToProperty(asset, entityId, field, fieldRule, unitId, user) {
+    const property = mongoose.Types.ObjectId.isValid(entityId) ? await Managedproperty.findById(entityId) : null;
+    if (!property) {
+      throw serviceError('Property not found', 404);
+    }
+    if (!canEditProperty(user, property)) {
+      throw serviceError('You do not have permission to modify this property', 403);
+    }
+
+    if (fieldRule.unit) {
+      const unit = unitId ? property.unitDetails.id(unitId) : null;
+      if (!unit) {
+        throw serviceError('Unit not found - pass the unitId of an entry in unitDetails', 404);
+      }
+      unit.floorPlan = asset.url;
+    } else if (fieldRule.multiple) {
+      property[field].addToSet(asset.url);
+    } else {
+      property[field] = asset.url;
+    }
+
+    // Same rule as the property update route
+    if (!hasPermission(user, 'properties:moderate')) {
+      property.requeueForReview(user.id);
+    }
+    property.$locals.actor = actorFromUser(user);
+    await property.save();
+    return property;
+  }
+
+  async attachToDocument(Model, asset, entityId, field, label) {
+    const entity = mongoose.Types.ObjectId.isValid(entityId) ? await Model.findById(entityId) : null;
+    if (!entity) {
+      throw serviceError(`${label} not found`, 404);
+    }
+    entity[field] = asset.url;
+    await entity.save();
+    return entity;
+  }
+
+  // Replace the file of an existing home video, or create a new (inactive) one
+  async attachToHomeVideo(asset, entityId, user) {
+    let video;
+    if (entityId) {
+      video = mongoose.Types.ObjectId.isValid(entityId) ? await HomeVideo.findById(entityId) : null;
+      if (!video) {
+        throw serviceError('Video not found', 404);
+      }
+    } else {
+      video = new HomeVideo({ uploadedBy: user.id });
+    }
+
+    video.url = asset.url;
+    video.key = asset.key;
+    video.fileName = asset.fileName || path.basename(asset.key);
+    video.fileSize = asset.size;
+    video.mimeType = asset.mimeType;
+    video.uploadedAt = new Date();
+    await video.save();
+    return video;
+  }
+
+  // Delete an upload that was never attached
+  async discard(asset) {
+    if (asset.status === 'attached') {
+      throw serviceError('Attached media cannot be deleted - remove it from the document first', 409);
+    }
+    await storageService.deleteObject(asset.key);
+    await imageVariantService.deleteVariants(asset);
+    asset.status = 'deleted';
+    asset.deletedAt = new Date();
+    await asset.save();
+    return asset;
+  }
+}
+
+export default new MediaService();
@@ -0,0 +1,155 @@
+import axios from 'axios';
+import Notification from '../models/Notification.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Delivery channels. A channel is any object with a `name` and an async
+ * `send(notification)` method; register custom ones with registerChannel().
+ */
+
+// Writes notifications to the application log (default, safe for development)
+export class LogChannel {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(notification) {
+    logger.info('Notification delivered', {
+      notificationId: notification._id.toString(),
+      userId: notification.user.toString(),
+      type: notification.type,
+      title: notification.title
+    });
+  }
+}
+
+// Keeps notifications in memory - use as a local stub in tests
+export class MemoryChannel {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(notification) {
+    this.sent.push(notification.toObject ? notification.toObject() : notification);
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+// POSTs notifications as JSON to NOTIFICATION_WEBHOOK_URL (e.g. a push/SMS gateway)
+export class WebhookChannel {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(notification) {
+    await axios.post(this.url, {
+      id: notification._id,
+      userId: notification.user,
+      propertyId: notification.propertyId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data
+    }, { timeout: 5000 });
+  }
+}
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.registerChannel(new LogChannel());
+    this.registerChannel(new MemoryChannel());
+    if (process.env.NOTIFICATION_WEBHOOK_URL) {
+      this.registerChannel(new WebhookChannel(process.env.NOTIFICATION_WEBHOOK_URL));
+    }
+    this.activeChannel = process.env.NOTIFICATION_CHANNEL || 'log';
+  }
+
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  // Switch the active delivery channel by name
+  useChannel(name) {
+    if (!this.channels.has(name)) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    this.activeChannel = name;
+  }
+
+  getChannel() {
+    return this.channels.get(this.activeChannel) || this.channels.get('log');
+  }
+
+  /**
+   * Create a pending notification record for each user. Delivery runs after the current request
+   * (a slow channel must not hold up the save that triggered it); deliverPending() picks up
+   * whatever is left behind, e.g. after a restart.
+   * @param {Array<string>} userIds - Recipient user IDs
+   * @param {Object} payload - type, title, message, propertyId, data
+   * @returns {Promise<Array>} - Created notifications
+   */
+  async notifyUsers(userIds, payload) {
+    if (!userIds || userIds.length === 0) return [];
+
+    const channel = this.getChannel();
+    const notifications = await Notification.insertMany(
+      userIds.map(userId => ({ ...payload, user: userId, channel: channel.name }))
+    );
+
+    const ids = notifications.map(notification => notification._id);
+    setImmediate(() => {
+      this.deliverPending({ ids }).catch(error => {
+        logger.error('Notification delivery failed', { notifications: ids.length, error: error.message });
+      });
+    });
+    return notifications;
+  }
+
+  // Send one notification through the channel it was created for. Failures are recorded, never thrown.
+  async deliver(notification) {
+    const channel = this.channels.get(notification.channel) || this.getChannel();
+    try {
+      await channel.send(notification);
+      notification.deliveryStatus = 'sent';
+      notification.sentAt = new Date();
+    } catch (error) {
+      notification.deliveryStatus = 'failed';
+      notification.deliveryError = error.message;
+      logger.error('Notification delivery failed', {
+        notificationId: notification._id.toString(),
+        channel: channel.name,
+        error: error.message
+      });
+    }
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Deliver pending notifications: the given ones, or (scheduled job) those created more than
+   * `olderThanMs` ago, which the in-process delivery should have handled by then
+   * @param {Object} options - ids, olderThanMs, limit
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async deliverPending({ ids, olderThanMs = 10 * 60 * 1000, limit = 500 } = {}) {
+    const filter = ids
+      ? { _id: { $in: ids }, deliveryStatus: 'pending' }
+      : { deliveryStatus: 'pending', createdAt: { $lt: new Date(Date.now() - olderThanMs) } };
+    const notifications = await Notification.find(filter).sort({ createdAt: 1 }).limit(limit);
+
+    const summary = { sent: 0, failed: 0 };
+    for (const notification of notifications) {
+      await this.deliver(notification);
+      summary[notification.deliveryStatus === 'sent' ? 'sent' : 'failed']++;
+    }
+    return summary;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,112 @@
+import PriceHistory from '../models/PriceHistory.js';
+import { User } from '../models/users.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+
+const PRICE_FIELDS = ['price', 'minPrice', 'maxPrice'];
+const ALERT_STATUSES = ['sold', 'rented'];
+
+const formatPrice = (value) => `₹${Number(value).toLocaleString('en-IN')}`;
+
+class PriceWatchService {
+  // Headline price: the single price for regular listings, the starting price for builder projects
+  headlinePrice(snapshot) {
+    if (!snapshot) return undefined;
+    return snapshot.type === 'builder' ? snapshot.minPrice : snapshot.price;
+  }
+
+  pricePoint(snapshot) {
+    const point = {};
+    for (const field of PRICE_FIELDS) {
+      if (typeof snapshot[field] === 'number') point[field] = snapshot[field];
+    }
+    return point;
+  }
+
+  hasPriceChanged(before, after) {
+    return PRICE_FIELDS.some(field => (before ? before[field] : undefined) !== after[field]);
+  }
+
+  /**
+   * Append to the price series when any price field changed.
+   * Properties that predate price tracking get their previous price recorded first.
+   */
+  async recordPriceChange(property, before, after) {
+    if (!this.hasPriceChanged(before, after)) return;
+
+    const point = this.pricePoint(after);
+    if (Object.keys(point).length === 0) return;
+
+    if (before) {
+      const hasHistory = await PriceHistory.exists({ propertyId: property._id });
+      const previousPoint = this.pricePoint(before);
+      if (!hasHistory && Object.keys(previousPoint).length > 0) {
+        await PriceHistory.create({
+          propertyId: property._id,
+          ...previousPoint,
+          recordedAt: property.createdAt || new Date()
+        });
+      }
+    }
+
+    await PriceHistory.create({ propertyId: property._id, ...point, recordedAt: new Date() });
+  }
+
+  // Notify watchers about price drops and the listing being sold or rented
+  async notifyWatchers(property, before, after) {
+    if (!before) return;
+
+    const alerts = [];
+    const name = after.projectName || after.title;
+
+    // No price drop alerts for a listing that isn't public after the edit (e.g. sent back to review)
+    const isPublished = [undefined, null, 'published'].includes(after.publicationStatus);
+    const oldPrice = this.headlinePrice(before);
+    const newPrice = this.headlinePrice(after);
+    if (isPublished && typeof oldPrice === 'number' && typeof newPrice === 'number' && newPrice < oldPrice) {
+      alerts.push({
+        type: 'price_drop',
+        title: `Price drop on ${name}`,
+        message: `${name} is now ${after.type === 'builder' ? 'starting at ' : ''}${formatPrice(newPrice)} (was ${formatPrice(oldPrice)}).`,
+        data: {
+          oldPrice,
+          newPrice,
+          dropPercent: oldPrice > 0 ? Math.round((oldPrice - newPrice) / oldPrice * 1000) / 10 : null,
+          before: this.pricePoint(before),
+          after: this.pricePoint(after)
+        }
+      });
+    }
+
+    if (before.status !== after.status && ALERT_STATUSES.includes(after.status)) {
+      alerts.push({
+        type: 'status_change',
+        title: `${name} has been ${after.status}`,
+        message: `A property on your watchlist, ${name}, is now marked as ${after.status}.`,
+        data: { oldStatus: before.status, newStatus: after.status }
+      });
+    }
+
+    if (alerts.length === 0) return;
+
+    const watchers = await User.find({ watchlist: property._id, isActive: true }).select('_id').lean();
+    const userIds = watchers.map(watcher => watcher._id);
+    for (const alert of alerts) {
+      await notificationService.notifyUsers(userIds, { ...alert, propertyId: property._id });
+    }
+
+    logger.info('Watchlist alerts queued', {
+      propertyId: property._id.toString(),
+      alerts: alerts.map(alert => alert.type),
+      watchers: userIds.length
+    });
+  }
+
+  // Called after every property save with the tracked-field snapshots from before and after
+  async handlePropertySaved(property, before, after) {
+    await this.recordPriceChange(property, before, after);
+    await this.notifyWatchers(property, before, after);
+  }
+}
+
+export default new PriceWatchService();
@@ -0,0 +1,429 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+import Managedproperty from '../models/property.js';
+import Category from '../models/category.js';
+import City from '../models/City.js';
+import Builder from '../models/Builder.js';
+import { actorFromUser } from '../models/PropertyHistory.js';
+import { hasPermission } from '../middleware/jwtAuth.js';
+import { parseCsv, unguardCsvValue } from '../utils/csv.js';
+import { toGeoPoint } from '../utils/geo.js';
+import { validatePropertyData } from '../utils/propertyValidation.js';
+import { normalizeAttributes } from '../utils/propertyAttributes.js';
+import { linkPropertyRelations } from '../utils/propertyRelations.js';
+import logger from '../utils/logger.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// Spreadsheet column -> import field. Headers are matched case-insensitively, ignoring spaces and punctuation.
+const COLUMN_ALIASES = {
+  externalRef: ['externalref', 'ref', 'reference', 'externalid'],
+  type: ['type', 'listingtype'],
+  title: ['title'],
+  description: ['description'],
+  status: ['status'],
+  price: ['price'],
+  propertyAction: ['propertyaction', 'action', 'for'],
+  area: ['area', 'areasqft'],
+  city: ['city'],
+  locality: ['locality', 'location'],
+  category: ['category'],
+  subcategory: ['subcategory'],
+  builder: ['builder'],
+  projectName: ['projectname', 'project'],
+  fullAddress: ['fulladdress', 'address'],
+  about: ['about'],
+  reraNo: ['rerano', 'rera', 'reranumber'],
+  minPrice: ['minprice'],
+  maxPrice: ['maxprice'],
+  possessionDate: ['possessiondate', 'possession'],
+  landArea: ['landarea'],
+  googleMapUrl: ['googlemapurl', 'mapurl', 'googlemap'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon'],
+  unitDetails: ['unitdetails', 'units'],
+  unitType: ['unittype', 'configuration'],
+  areaType: ['areatype'],
+  highlights: ['highlights', 'amenities'],
+  connectivityPoints: ['connectivitypoints', 'connectivity'],
+  images: ['images'],
+  projectImages: ['projectimages'],
+  projectLogo: ['projectlogo', 'logo'],
+  wallpaperImage: ['wallpaperimage', 'wallpaper'],
+  descriptionImage: ['descriptionimage'],
+  highlightImage: ['highlightimage'],
+  floorPlan: ['floorplan'],
+  masterPlan: ['masterplan'],
+  brochure: ['brochure']
+};
+
+const HEADER_TO_FIELD = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field]))
+);
+
+// Copied onto the property as-is
+const TEXT_FIELDS = [
+  'title', 'description', 'projectName', 'fullAddress', 'about', 'reraNo', 'landArea', 'googleMapUrl',
+  'unitType', 'areaType', 'projectLogo', 'wallpaperImage', 'descriptionImage', 'highlightImage',
+  'floorPlan', 'masterPlan', 'brochure'
+];
+const AMOUNT_FIELDS = ['price', 'minPrice', 'maxPrice', 'area'];
+const LIST_FIELDS = ['highlights', 'connectivityPoints', 'images', 'projectImages'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+// List cells are separated by "|", ";" or new lines
+const splitList = (value) => String(value).split(/[|;\n]/).map(item => item.trim()).filter(Boolean);
+
+// Amounts may use Indian units: "85 L", "1.2 Cr", "45,00,000"
+const AMOUNT_UNITS = { k: 1e3, l: 1e5, lac: 1e5, lakh: 1e5, lakhs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7 };
+export function parseAmount(value) {
+  const match = String(value).replace(/[₹,\s]/g, '').toLowerCase().match(/^(\d+(\.\d+)?)([a-z]*)$/);
+  if (!match) return NaN;
+  if (!match[3]) return Number(match[1]);
+  const multiplier = AMOUNT_UNITS[match[3]];
+  return multiplier ? Math.round(Number(match[1]) * multiplier) : NaN;
+}
+
+// "2 BHK: 1200 sq ft | 3 BHK: 1650 sq ft"
+const parseUnitDetails = (value) => splitList(value).map(entry => {
+  const separator = entry.search(/[:=]/);
+  return separator === -1
+    ? { unitType: entry }
+    : { unitType: entry.slice(0, separator).trim(), area: entry.slice(separator + 1).trim() || undefined };
+});
+
+// Plain text for an ExcelJS cell value (rich text, hyperlinks, formulas and dates included)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+class PropertyImportService {
+  /**
+   * Read the first sheet of an uploaded CSV or XLSX file
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<{rows: Array<{rowNumber: number, values: Object}>, unknownColumns: Array<string>}>}
+   */
+  async readRows(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    let table;
+
+    if (extension === '.xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(file.buffer);
+      const sheet = workbook.worksheets[0];
+      table = [];
+      sheet?.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        // row.values is 1-indexed
+        table.push({ rowNumber, cells: row.values.slice(1).map(cellText) });
+      });
+    } else {
+      table = parseCsv(file.buffer.toString('utf8')).map((cells, index) => ({
+        rowNumber: index + 1,
+        cells: cells.map(unguardCsvValue)
+      }));
+    }
+
+    if (table.length === 0) {
+      return { rows: [], unknownColumns: [] };
+    }
+
+    const [header, ...body] = table;
+    const fields = header.cells.map(cell => HEADER_TO_FIELD.get(normalizeHeader(cell)) || null);
+    const unknownColumns = header.cells.filter((cell, index) => cell && !fields[index]);
+
+    const rows = body.map(({ rowNumber, cells }) => {
+      const values = {};
+      fields.forEach((field, index) => {
+        const value = String(cells[index] ?? '').trim();
+        if (field && value !== '') values[field] = value;
+      });
+      return { rowNumber, values };
+    }).filter(row => Object.keys(row.values).length > 0);
+
+    return { rows, unknownColumns };
+  }
+
+  // Name -> document lookups shared by all rows of an import
+  async loadLookups() {
+    const [cities, categories, builders] = await Promise.all([
+      City.find().select('name slug localities'),
+      Category.find().select('name deepSubcategories'),
+      Builder.find().select('name slug')
+    ]);
+    return this.indexLookups({ cities, categories, builders });
+  }
+
+  // Index city, category and builder documents by id, name and slug
+  indexLookups({ cities = [], categories = [], builders = [] }) {
+    const index = (docs, keys) => {
+      const map = new Map();
+      for (const doc of docs) {
+        for (const key of keys(doc)) {
+          if (key) map.set(normalizeName(key), doc);
+        }
+      }
+      return map;
+    };
+
+    return {
+      cities: index(cities, city => [city._id.toString(), city.name, city.slug]),
+      categories: index(categories, category => [category._id.toString(), category.name]),
+      builders: index(builders, builder => [builder._id.toString(), builder.name, builder.slug])
+    };
+  }
+
+  /**
+   * Map a row onto Managedproperty fields, resolving names to ids
+   * @returns {{data: Object, errors: Array<{field: string, message: string}>}}
+   */
+  buildRecord(values, lookups) {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+    const data = {};
+
+    for (const field of TEXT_FIELDS) {
+      if (values[field] !== undefined) data[field] = values[field];
+    }
+
+    for (const field of AMOUNT_FIELDS) {
+      if (values[field] === undefined) continue;
+      const amount = parseAmount(values[field]);
+      if (isNaN(amount)) addError(field, `${field} must be a number (e.g. 8500000, 85 L or 1.2 Cr)`);
+      else data[field] = amount;
+    }
+
+    for (const field of LIST_FIELDS) {
+      if (values[field] !== undefined) data[field] = splitList(values[field]);
+    }
+
+    if (values.unitDetails !== undefined) data.unitDetails = parseUnitDetails(values.unitDetails);
+
+    if (values.type !== undefined) data.type = values.type.toLowerCase();
+    if (values.status !== undefined) data.status = values.status.toLowerCase();
+    if (values.propertyAction !== undefined) {
+      const action = values.propertyAction.toLowerCase();
+      data.propertyAction = action.charAt(0).toUpperCase() + action.slice(1);
+    }
+
+    if (values.possessionDate !== undefined) {
+      const match = values.possessionDate.match(/^(\d{4})-(\d{1,2})/);
+      if (match) data.possessionDate = `${match[1]}-${match[2].padStart(2, '0')}`;
+      else addError('possessionDate', 'Possession date must be in YYYY-MM format');
+    }
+
+    if (values.latitude !== undefined || values.longitude !== undefined) {
+      data.geoLocation = toGeoPoint(values.latitude, values.longitude) || { invalid: true };
+    }
+
+    if (values.city !== undefined) {
+      const city = lookups.cities.get(normalizeName(values.city));
+      if (!city) {
+        addError('city', `City "${values.city}" not found`);
+      } else {
+        data.city = city._id;
+        if (values.locality !== undefined) {
+          const key = normalizeName(values.locality);
+          const locality = city.localities.find(loc => (
+            loc._id.toString() === key || normalizeName(loc.name) === key || loc.slug === key
+          ));
+          if (locality) data.location = locality._id.toString();
+          else addError('locality', `Locality "${values.locality}" not found in ${city.name}`);
+        } else {
+          addError('locality', 'Locality is required when the city is set');
+        }
+      }
+    } else if (values.locality !== undefined) {
+      addError('city', 'City is required to resolve the locality');
+    }
+
+    if (values.category !== undefined) {
+      const category = lookups.categories.get(normalizeName(values.category));
+      if (!category) {
+        addError('category', `Category "${values.category}" not found`);
+      } else {
+        data.category = category._id;
+        if (values.subcategory !== undefined) {
+          const key = normalizeName(values.subcategory);
+          const subcategory = category.deepSubcategories.find(sub => (
+            sub._id.toString() === key || normalizeName(sub.name) === key
+          ));
+          if (subcategory) {
+            data.subcategory = subcategory._id.toString();
+            data.subcategoryName = subcategory.name;
+          } else {
+            addError('subcategory', `Subcategory "${values.subcategory}" not found in ${category.name}`);
+          }
+        } else {
+          addError('subcategory', 'Subcategory is required when the category is set');
+        }
+      }
+    } else if (values.subcategory !== undefined) {
+      addError('category', 'Category is required to resolve the subcategory');
+    }
+
+    if (values.builder !== undefined) {
+      const builder = lookups.builders.get(normalizeName(values.builder));
+      if (builder) data.builder = builder._id;
+      else addError('builder', `Builder "${values.builder}" not found`);
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Validate (dry run) or apply an import. Rows are matched to existing listings by externalRef;
+   * matched rows update the listing, the rest create one. Invalid rows are never written.
+   * @param {Object} file - Multer file
+   * @param {Object} options - dryRun (default true), user (req.user)
+   * @returns {Promise<Object>} - Import report
+   */
+  async importProperties(file, { dryRun = true, user }) {
+    const { rows, unknownColumns } = await this.readRows(file);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      const error = new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const lookups = await this.loadLookups();
+    const refs = rows.map(row => row.values.externalRef).filter(Boolean);
+    const existing = await Managedproperty.find({ externalRef: { $in: refs } });
+    const existingByRef = new Map(existing.map(property => [property.externalRef, property]));
+
+    const { summary, results } = await this.importRows(rows, { lookups, existingByRef, dryRun, user });
+
+    if (!dryRun) {
+      logger.info('Property import completed', { userId: user.id, file: file.originalname, ...summary });
+    }
+
+    return {
+      dryRun,
+      totalRows: rows.length,
+      summary,
+      unknownColumns,
+      rows: results
+    };
+  }
+
+  /**
+   * Check each row and, unless it's a dry run, write it
+   * @param {Array<{rowNumber: number, values: Object}>} rows - From readRows
+   * @param {Object} options - lookups (from loadLookups), existingByRef (externalRef -> listing), dryRun, user
+   * @returns {Promise<{summary: Object, results: Array<Object>}>}
+   */
+  async importRows(rows, { lookups, existingByRef, dryRun, user }) {
+    const seenRefs = new Set();
+    const summary = { create: 0, update: 0, unchanged: 0, invalid: 0, failed: 0 };
+    const results = [];
+
+    for (const { rowNumber, values } of rows) {
+      const externalRef = values.externalRef || null;
+      const { data, errors } = this.buildRecord(values, lookups);
+
+      if (!externalRef) {
+        errors.unshift({ field: 'externalRef', message: 'External reference is required' });
+      } else if (seenRefs.has(externalRef)) {
+        errors.unshift({ field: 'externalRef', message: `Duplicate external reference "${externalRef}" in file` });
+      }
+      if (externalRef) seenRefs.add(externalRef);
+
+      if (errors.length > 0) {
+        summary.invalid++;
+        results.push({ row: rowNumber, externalRef, action: 'invalid', errors });
+        continue;
+      }
+
+      const property = existingByRef.get(externalRef);
+      if (!data.type) {
+        data.type = property ? property.type : (data.builder ? 'builder' : 'regular');
+      }
+
+      // Validate the listing as it would be after the import
+      const merged = property ? { ...property.toObject(), ...data } : data;
+      const validationErrors = validatePropertyData(merged);
+
+      // Attributes can't be imported, but the existing ones must fit the (possibly new) subcategory
+      const subcategory = lookups.categories.get(normalizeName(merged.category))?.deepSubcategories
+        .find(sub => sub._id.toString() === String(merged.subcategory));
+      const { attributes, errors: attributeErrors } = normalizeAttributes(subcategory?.attributes, merged.attributes);
+      data.attributes = attributes;
+      validationErrors.push(...attributeErrors);
+
+      if (validationErrors.length > 0) {
+        summary.invalid++;
+        results.push({ row: rowNumber, externalRef, action: 'invalid', errors: validationErrors });
+        continue;
+      }
+
+      const result = property
+        ? await this.applyUpdate(property, data, { dryRun, user })
+        : await this.applyCreate(externalRef, data, { dryRun, user });
+
+      summary[result.action]++;
+      results.push({ row: rowNumber, externalRef, ...result });
+    }
+
+    return { summary, results };
+  }
+
+  async applyCreate(externalRef, data, { dryRun, user }) {
+    if (dryRun) return { action: 'create', errors: [] };
+
+    try {
+      const property = new Managedproperty({
+        ...data,
+        externalRef,
+        createdBy: user.id,
+        createdByPhone: user.phoneNumber
+      });
+
+      // Same rule as POST /api/properties: moderators publish directly, everyone else goes to review
+      const canPublish = hasPermission(user, 'properties:moderate');
+      property.publicationStatus = 'draft';
+      property.setPublicationStatus(canPublish ? 'published' : 'pending_review', {
+        action: canPublish ? 'publish' : 'submit',
+        userId: user.id
+      });
+      property.$locals.actor = { ...actorFromUser(user), source: 'import' };
+      await property.save();
+      await linkPropertyRelations(property);
+
+      return { action: 'create', propertyId: property._id, errors: [] };
+    } catch (error) {
+      return { action: 'failed', errors: [{ field: null, message: error.message }] };
+    }
+  }
+
+  async applyUpdate(property, data, { dryRun, user }) {
+    property.set(data);
+
+    const changedFields = property.modifiedPaths().filter(field => !field.includes('.'));
+    if (changedFields.length === 0) {
+      return { action: 'unchanged', propertyId: property._id, errors: [] };
+    }
+    if (dryRun) {
+      return { action: 'update', propertyId: property._id, changedFields, errors: [] };
+    }
+
+    try {
+      property.$locals.actor = { ...actorFromUser(user), source: 'import' };
+      await property.save();
+
+      return { action: 'update', propertyId: property._id, changedFields, errors: [] };
+    } catch (error) {
+      return { action: 'failed', propertyId: property._id, errors: [{ field: null, message: error.message }] };
+    }
+  }
+}
+
+export default new PropertyImportService();
@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import Lead from '../models/Lead.js';
+import { User } from '../models/users.js';
+import City from '../models/City.js';
+import { PUBLISHED_FILTER } from '../utils/propertyFilters.js';
+import { escapeRegex } from '../utils/search.js';
+
+// Points awarded per matching attribute when comparing two listings
+const SIMILARITY_WEIGHTS = {
+  city: 2,
+  locality: 3,
+  category: 1,
+  subcategory: 2,
+  priceBand: 3,
+  nearPriceBand: 1.5,
+  builder: 2,
+  propertyAction: 1
+};
+
+// How much each kind of user activity counts towards recommendations
+const SIGNAL_WEIGHTS = {
+  lead: 4,
+  watchlist: 3,
+  view: 1
+};
+
+// Headline price within +/-25% counts as the same price band, within +/-50% as a nearby one
+const PRICE_BAND = 0.25;
+const NEAR_PRICE_BAND = 0.5;
+
+// Candidates scored per request; the query is narrowed to shared city/category/builder first
+const MAX_CANDIDATES = 300;
+const MAX_SEED_VIEWS = 20;
+
+const PROPERTY_POPULATE = [
+  { path: 'category', select: 'name deepSubcategories' },
+  { path: 'city', select: 'name state localities' },
+  { path: 'builder', select: 'name slug privateDocuments' }
+];
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const headlinePrice = (property) => (
+  property.type === 'builder' ? property.minPrice : property.price
+);
+
+// Last 10 digits, so "+91 98765 43210" and "9876543210" match
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+class RecommendationService {
+  /**
+   * Score how similar a candidate listing is to a reference listing
+   * @returns {{score: number, reasons: Array<string>}}
+   */
+  scoreSimilarity(reference, candidate) {
+    let score = 0;
+    const reasons = [];
+    const add = (reason) => {
+      score += SIMILARITY_WEIGHTS[reason];
+      reasons.push(reason);
+    };
+
+    const sameCity = idOf(reference.city) && idOf(reference.city) === idOf(candidate.city);
+    if (sameCity) add('city');
+    if (sameCity && reference.location && reference.location === candidate.location) add('locality');
+
+    const sameCategory = idOf(reference.category) && idOf(reference.category) === idOf(candidate.category);
+    if (sameCategory) add('category');
+    if (sameCategory && reference.subcategory && reference.subcategory === candidate.subcategory) add('subcategory');
+
+    const referencePrice = headlinePrice(reference);
+    const candidatePrice = headlinePrice(candidate);
+    if (referencePrice > 0 && typeof candidatePrice === 'number') {
+      const difference = Math.abs(candidatePrice - referencePrice) / referencePrice;
+      if (difference <= PRICE_BAND) add('priceBand');
+      else if (difference <= NEAR_PRICE_BAND) add('nearPriceBand');
+    }
+
+    if (idOf(reference.builder) && idOf(reference.builder) === idOf(candidate.builder)) add('builder');
+
+    if (reference.type === 'regular' && reference.propertyAction &&
+        reference.propertyAction === candidate.propertyAction) {
+      add('propertyAction');
+    }
+
+    return { score, reasons };
+  }
+
+  // Published listings sharing a city, category or builder with any of the references
+  async findCandidates(references, excludeIds) {
+    const cityIds = new Set();
+    const categoryIds = new Set();
+    const builderIds = new Set();
+    for (const reference of references) {
+      if (idOf(reference.city)) cityIds.add(idOf(reference.city));
+      if (idOf(reference.category)) categoryIds.add(idOf(reference.category));
+      if (idOf(reference.builder)) builderIds.add(idOf(reference.builder));
+    }
+
+    const toObjectIds = (ids) => [...ids]
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    const related = [
+      { city: { $in: toObjectIds(cityIds) } },
+      { category: { $in: toObjectIds(categoryIds) } }
+    ];
+    if (builderIds.size > 0) {
+      related.push({ builder: { $in: toObjectIds(builderIds) } });
+    }
+
+    return Managedproperty.find({
+      ...PUBLISHED_FILTER,
+      _id: { $nin: toObjectIds(excludeIds) },
+      $or: related
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+  }
+
+  /**
+   * Published listings most similar to a property
+   * @param {Object} property - Reference property (document or lean object)
+   * @param {Object} options - limit
+   * @returns {Promise<Array<Object>>} - Lean properties with similarityScore and matchReasons
+   */
+  async getSimilarProperties(property, { limit = 8 } = {}) {
+    const candidates = await this.findCandidates([property], [idOf(property)]);
+
+    const ranked = candidates
+      .map(candidate => {
+        const { score, reasons } = this.scoreSimilarity(property, candidate);
+        return { candidate, score, reasons };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || b.candidate.createdAt - a.candidate.createdAt)
+      .slice(0, limit);
+
+    return this.populateRanked(ranked);
+  }
+
+  // The user's watchlist, recently viewed and enquired-about properties, with a weight for each
+  async getUserSignals(userId) {
+    const user = await User.findById(userId).select('phoneNumber city watchlist recentlyViewed');
+    if (!user) return null;
+
+    const weights = new Map();
+    const addSignal = (propertyId, weight) => {
+      if (!propertyId) return;
+      const key = propertyId.toString();
+      weights.set(key, (weights.get(key) || 0) + weight);
+    };
+
+    // Leads are linked by phone number, not by user id
+    const phone = phoneKey(user.phoneNumber);
+    const leads = phone
+      ? await Lead.find({ phone: new RegExp(`${escapeRegex(phone)}$`), propertyId: { $ne: null } })
+        .select('propertyId')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+      : [];
+
+    leads.forEach(lead => addSignal(lead.propertyId, SIGNAL_WEIGHTS.lead));
+    user.watchlist.forEach(propertyId => addSignal(propertyId, SIGNAL_WEIGHTS.watchlist));
+    user.recentlyViewed.slice(0, MAX_SEED_VIEWS).forEach((view, index) => {
+      // Older views count for less
+      addSignal(view.property, SIGNAL_WEIGHTS.view * (1 - index / (MAX_SEED_VIEWS * 2)));
+    });
+
+    return {
+      user,
+      weights,
+      counts: {
+        leads: leads.length,
+        watchlist: user.watchlist.length,
+        viewed: user.recentlyViewed.length
+      }
+    };
+  }
+
+  /**
+   * Personalised recommendations from the user's watchlist, views and leads.
+   * Users without any activity get the latest listings in their city.
+   * @param {string} userId - User id
+   * @param {Object} options - limit
+   * @returns {Promise<{strategy: string, signals: Object, properties: Array<Object>}|null>}
+   */
+  async getRecommendations(userId, { limit = 12 } = {}) {
+    const signals = await this.getUserSignals(userId);
+    if (!signals) return null;
+
+    const seedIds = [...signals.weights.keys()];
+    const seeds = seedIds.length
+      ? await Managedproperty.find({ _id: { $in: seedIds } })
+        .select('type city location category subcategory price minPrice propertyAction builder')
+        .lean()
+      : [];
+
+    if (seeds.length === 0) {
+      return {
+        strategy: 'latest_in_city',
+        signals: signals.counts,
+        properties: await this.getFallback(signals.user.city, limit)
+      };
+    }
+
+    const candidates = await this.findCandidates(seeds, seedIds);
+
+    const ranked = candidates
+      .map(candidate => {
+        let score = 0;
+        const reasons = new Set();
+        for (const seed of seeds) {
+          const similarity = this.scoreSimilarity(seed, candidate);
+          score += similarity.score * signals.weights.get(seed._id.toString());
+          similarity.reasons.forEach(reason => reasons.add(reason));
+        }
+        return { candidate, score: Math.round(score * 100) / 100, reasons: [...reasons] };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || b.candidate.createdAt - a.candidate.createdAt)
+      .slice(0, limit);
+
+    return {
+      strategy: 'personalised',
+      signals: signals.counts,
+      properties: await this.populateRanked(ranked)
+    };
+  }
+
+  // Latest published listings in the user's city (any city when it isn't known)
+  async getFallback(cityName, limit) {
+    const filter = { ...PUBLISHED_FILTER };
+    if (cityName) {
+      const city = await City.findOne({ name: new RegExp(`^${escapeRegex(cityName)}$`, 'i') }).select('_id');
+      if (city) filter.city = city._id;
+    }
+
+    return Managedproperty.find(filter)
+      .populate(PROPERTY_POPULATE)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  // Populate references on ranked candidates, keeping the ranking order
+  async populateRanked(ranked) {
+    const populated = await Managedproperty.populate(ranked.map(entry => entry.candidate), PROPERTY_POPULATE);
+    return populated.map((property, index) => ({
+      ...property,
+      similarityScore: ranked[index].score,
+      matchReasons: ranked[index].reasons
+    }));
+  }
+}
+
+export default new RecommendationService();
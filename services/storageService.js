@@ -0,0 +1,141 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * S3 access for media uploads.
+ *
+ * Configuration:
+ *   S3_BUCKET (or AWS_S3_BUCKET), AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY
+ *   S3_ENDPOINT          - S3-compatible endpoint, e.g. http://localhost:9000 for a local MinIO stand-in
+ *   S3_FORCE_PATH_STYLE  - "true" for MinIO and most local stand-ins (defaults to true when S3_ENDPOINT is set)
+ *   S3_PUBLIC_URL        - Base URL objects are served from (defaults to the path-style bucket URL)
+ */
+class StorageService {
+  constructor() {
+    this.client = null;
+  }
+
+  get bucket() {
+    return process.env.S3_BUCKET || process.env.AWS_S3_BUCKET;
+  }
+
+  get region() {
+    return process.env.AWS_REGION || 'ap-south-1';
+  }
+
+  isConfigured() {
+    return !!this.bucket;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    const endpoint = process.env.S3_ENDPOINT;
+    this.client = new S3Client({
+      region: this.region,
+      ...(endpoint ? { endpoint } : {}),
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!endpoint
+    });
+    return this.client;
+  }
+
+  // Replace the client (e.g. with a stub in tests)
+  setClient(client) {
+    this.client = client;
+  }
+
+  // URL stored on documents. Path-style, so convertToCloudFrontUrl can map it onto the CDN.
+  publicUrl(key) {
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+    }
+    if (process.env.S3_ENDPOINT) {
+      return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${this.bucket}/${key}`;
+    }
+    return `https://s3.${this.region}.amazonaws.com/${this.bucket}/${key}`;
+  }
+
+  // Object key from a URL produced by publicUrl (null when the URL points elsewhere)
+  keyFromUrl(url) {
+    if (!url || !this.bucket) return null;
+    try {
+      const { pathname } = new URL(url);
+      const parts = decodeURIComponent(pathname).split('/').filter(Boolean);
+      if (process.env.S3_PUBLIC_URL) {
+        const baseParts = new URL(process.env.S3_PUBLIC_URL).pathname.split('/').filter(Boolean);
+        return parts.slice(baseParts.length).join('/') || null;
+      }
+      return parts[0] === this.bucket ? parts.slice(1).join('/') || null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Presigned PUT URL. Content type and length are part of the signature, so S3 rejects
+   * uploads that don't match what was validated.
+   */
+  async presignPut(key, { contentType, contentLength, expiresIn = 600 }) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: contentLength
+    });
+    return getSignedUrl(this.getClient(), command, { expiresIn });
+  }
+
+  // Object metadata, or null when the object doesn't exist
+  async headObject(key) {
+    try {
+      return await this.getClient().send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async getObjectBuffer(key) {
+    const response = await this.getClient().send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async putObject(key, body, { contentType, cacheControl } = {}) {
+    return this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: cacheControl
+    }));
+  }
+
+  async deleteObject(key) {
+    return this.getClient().send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // Objects under a prefix, one page (up to 1000 objects: Key, Size, LastModified) at a time
+  async *listObjectPages(prefix) {
+    let continuationToken;
+    do {
+      const response = await this.getClient().send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      yield response.Contents || [];
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import Category from '../models/category.js';
+import City from '../models/City.js';
+import Builder from '../models/Builder.js';
+import { User } from '../models/users.js';
+import mediaReferenceService from './mediaReferenceService.js';
+import { normalizeAttributes } from '../utils/propertyAttributes.js';
+import logger from '../utils/logger.js';
+
+// How many dependents a refused delete lists
+const DEPENDENT_SAMPLE_SIZE = 50;
+
+const serviceError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+const isObjectId = (id) => !!id && mongoose.Types.ObjectId.isValid(id);
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// The free-text locality of regular listings usually repeats the locality name
+const sameName = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Move a property into a subcategory. Attributes are normalised against the new subcategory's
+// definitions; values it doesn't define or that don't fit their type are dropped.
+const assignSubcategory = (property, category, subcategory) => {
+  property.category = category._id;
+  property.subcategory = subcategory._id.toString();
+  property.subcategoryName = subcategory.name;
+  property.attributes = normalizeAttributes(subcategory.attributes, property.attributes).attributes;
+};
+
+class TaxonomyService {
+  /**
+   * Properties matching a filter, for the 409 response of a refused delete
+   * @returns {Promise<{total: number, properties: Object[]}>} - properties holds at most DEPENDENT_SAMPLE_SIZE entries
+   */
+  async dependentProperties(filter) {
+    const [total, properties] = await Promise.all([
+      Managedproperty.countDocuments(filter),
+      Managedproperty.find(filter)
+        .select('title slug type projectName publicationStatus')
+        .sort({ createdAt: -1 })
+        .limit(DEPENDENT_SAMPLE_SIZE)
+        .lean()
+    ]);
+    return { total, properties };
+  }
+
+  // Throws a 409 listing the dependents when any property still matches the filter
+  async assertNoDependents(filter, label) {
+    const dependents = await this.dependentProperties(filter);
+    if (dependents.total > 0) {
+      throw serviceError(
+        `${label} is used by ${plural(dependents.total, 'property')} - choose a replacement to move them to`,
+        409,
+        { dependents }
+      );
+    }
+  }
+
+  /**
+   * Apply a change to every property matching a filter. Properties are saved one by one
+   * so history, slugs and builder statistics stay correct; a failure doesn't stop the rest.
+   * @param {Object} filter - Managedproperty filter
+   * @param {Function} apply - Called with each property document to change it
+   * @param {Object} options - actor: history actor for the property changes
+   * @returns {Promise<{moved: number, failed: number}>}
+   */
+  async moveProperties(filter, apply, { actor } = {}) {
+    let moved = 0;
+    let failed = 0;
+    for await (const property of Managedproperty.find(filter).cursor()) {
+      try {
+        apply(property);
+        property.$locals.actor = actor;
+        // Legacy listings may miss fields that became required later - don't let that block the move
+        await property.save({ validateBeforeSave: false });
+        moved++;
+      } catch (error) {
+        failed++;
+        logger.error('Failed to move property', {
+          propertyId: property._id.toString(),
+          filter,
+          error: error.message
+        });
+      }
+    }
+    return { moved, failed };
+  }
+
+  /**
+   * Merge one locality of a city into another: every property pointing at the source locality
+   * is moved to the target, then the source is removed and its slugs kept on the target so old
+   * links still resolve.
+   * @param {Object} city - City document
+   * @param {string} sourceId - Locality to merge away
+   * @param {string} targetId - Locality that remains
+   * @param {Object} options - actor: history actor for the property changes
+   * @returns {Promise<{city: Object, moved: number, failed: number}>}
+   */
+  async mergeLocality(city, sourceId, targetId, { actor } = {}) {
+    const source = city.localities.id(sourceId);
+    const target = city.localities.id(targetId);
+    if (!source || !target) {
+      throw serviceError('Locality not found', 404);
+    }
+    if (source._id.equals(target._id)) {
+      throw serviceError('A locality cannot be merged into itself', 400);
+    }
+
+    const { moved, failed } = await this.moveProperties(
+      { city: city._id, location: source._id.toString() },
+      (property) => {
+        property.location = target._id.toString();
+        if (sameName(property.locality, source.name)) {
+          property.locality = target.name;
+        }
+      },
+      { actor }
+    );
+
+    // Keep the source while anything still points at it
+    if (failed > 0) {
+      return { city, moved, failed };
+    }
+
+    target.previousSlugs = [...new Set([
+      ...(target.previousSlugs || []),
+      ...(source.previousSlugs || []),
+      source.slug
+    ].filter(Boolean))];
+    city.localities.pull(source._id);
+    await city.save();
+
+    logger.info('Localities merged', {
+      cityId: city._id.toString(),
+      sourceId: source._id.toString(),
+      targetId: target._id.toString(),
+      moved
+    });
+
+    return { city, moved, failed };
+  }
+
+  /**
+   * Throws a 409 when a new subcategory list drops subcategories that properties still use.
+   * Used by category updates, which replace the whole list; deleteSubcategory moves the properties first.
+   * @param {Object} category - Category document before the update
+   * @param {Array<Object>} subcategories - The subcategory list being saved
+   */
+  async assertSubcategoriesKept(category, subcategories) {
+    const kept = new Set(subcategories.map(subcategory => String(subcategory?._id ?? '')));
+    for (const subcategory of category.deepSubcategories) {
+      if (kept.has(subcategory._id.toString())) continue;
+      await this.assertNoDependents(
+        { category: category._id, subcategory: subcategory._id.toString() },
+        `Subcategory "${subcategory.name}"`
+      );
+    }
+  }
+
+  /**
+   * Delete a category. Refuses (409) while properties use it, unless a replacement
+   * category and subcategory are given - then those properties are moved there first.
+   * @param {string} categoryId
+   * @param {Object} options - replacementCategoryId, replacementSubcategoryId, actor
+   * @returns {Promise<{deleted: boolean, moved: number, failed: number}>} - deleted is false when some moves failed
+   */
+  async deleteCategory(categoryId, { replacementCategoryId, replacementSubcategoryId, actor } = {}) {
+    if (!isObjectId(categoryId)) throw serviceError('Invalid category ID', 400);
+    const category = await Category.findById(categoryId);
+    if (!category) throw serviceError('Category not found', 404);
+
+    const filter = { category: category._id };
+    let result = { moved: 0, failed: 0 };
+
+    if (replacementCategoryId || replacementSubcategoryId) {
+      if (String(replacementCategoryId) === category._id.toString()) {
+        throw serviceError('A category cannot be replaced by itself', 400);
+      }
+      const { replacement, subcategory } = await this.resolveSubcategory(replacementCategoryId, replacementSubcategoryId);
+      result = await this.moveProperties(filter, (property) => {
+        assignSubcategory(property, replacement, subcategory);
+      }, { actor });
+      if (result.failed > 0) return { deleted: false, ...result };
+    }
+
+    await this.assertNoDependents(filter, `Category "${category.name}"`);
+    await Category.deleteOne({ _id: category._id });
+
+    logger.info('Category deleted', { categoryId: category._id.toString(), moved: result.moved, userId: actor?.userId });
+    return { deleted: true, ...result };
+  }
+
+  /**
+   * Delete a subcategory. Refuses (409) while properties use it, unless a replacement
+   * subcategory is given (of the same category, or of replacementCategoryId).
+   * @param {string} categoryId
+   * @param {string} subcategoryId
+   * @param {Object} options - replacementSubcategoryId, replacementCategoryId, actor
+   * @returns {Promise<{deleted: boolean, moved: number, failed: number, category: Object}>}
+   */
+  async deleteSubcategory(categoryId, subcategoryId, { replacementCategoryId, replacementSubcategoryId, actor } = {}) {
+    if (!isObjectId(categoryId)) throw serviceError('Invalid category ID', 400);
+    const category = await Category.findById(categoryId);
+    if (!category) throw serviceError('Category not found', 404);
+    const subcategory = isObjectId(subcategoryId) ? category.deepSubcategories.id(subcategoryId) : null;
+    if (!subcategory) throw serviceError('Subcategory not found', 404);
+
+    const filter = { category: category._id, subcategory: subcategory._id.toString() };
+    let result = { moved: 0, failed: 0 };
+
+    if (replacementSubcategoryId) {
+      if (String(replacementSubcategoryId) === subcategory._id.toString()) {
+        throw serviceError('A subcategory cannot be replaced by itself', 400);
+      }
+      const { replacement, subcategory: target } = await this.resolveSubcategory(
+        replacementCategoryId || category._id.toString(),
+        replacementSubcategoryId
+      );
+      result = await this.moveProperties(filter, (property) => {
+        assignSubcategory(property, replacement, target);
+      }, { actor });
+      if (result.failed > 0) return { deleted: false, ...result, category };
+    }
+
+    await this.assertNoDependents(filter, `Subcategory "${subcategory.name}"`);
+    category.deepSubcategories.pull(subcategory._id);
+    await category.save();
+
+    logger.info('Subcategory deleted', {
+      categoryId: category._id.toString(),
+      subcategoryId: subcategory._id.toString(),
+      moved: result.moved,
+      userId: actor?.userId
+    });
+    return { deleted: true, ...result, category };
+  }
+
+  /**
+   * Delete a city. Refuses (409) while properties use it, unless a replacement city and
+   * one of its localities are given - then those properties are moved there first.
+   * @param {string} cityId
+   * @param {Object} options - replacementCityId, replacementLocalityId, actor
+   * @returns {Promise<{deleted: boolean, moved: number, failed: number}>}
+   */
+  async deleteCity(cityId, { replacementCityId, replacementLocalityId, actor } = {}) {
+    if (!isObjectId(cityId)) throw serviceError('Invalid city ID', 400);
+    const city = await City.findById(cityId);
+    if (!city) throw serviceError('City not found', 404);
+
+    const filter = { city: city._id };
+    let result = { moved: 0, failed: 0 };
+
+    if (replacementCityId || replacementLocalityId) {
+      if (String(replacementCityId) === city._id.toString()) {
+        throw serviceError('A city cannot be replaced by itself', 400);
+      }
+      const replacement = isObjectId(replacementCityId) ? await City.findById(replacementCityId) : null;
+      if (!replacement) throw serviceError('Replacement city not found', 400);
+      const locality = isObjectId(replacementLocalityId) ? replacement.localities.id(replacementLocalityId) : null;
+      if (!locality) throw serviceError('Replacement locality not found in the replacement city', 400);
+
+      result = await this.moveProperties(filter, (property) => {
+        const previous = isObjectId(property.location) ? city.localities.id(property.location) : null;
+        property.city = replacement._id;
+        property.location = locality._id.toString();
+        if (previous && sameName(property.locality, previous.name)) {
+          property.locality = locality.name;
+        }
+      }, { actor });
+      if (result.failed > 0) return { deleted: false, ...result };
+    }
+
+    await this.assertNoDependents(filter, `City "${city.name}"`);
+    await City.deleteOne({ _id: city._id });
+    await mediaReferenceService.releaseDocument('city', city);
+
+    logger.info('City deleted', { cityId: city._id.toString(), moved: result.moved, userId: actor?.userId });
+    return { deleted: true, ...result };
+  }
+
+  /**
+   * Delete a builder. Refuses (409) while properties use it, unless a replacement builder
+   * is given - then those properties are moved there first. Partner accounts linked to the
+   * builder always block the delete: they have to be re-linked or demoted deliberately.
+   * @param {string} builderId
+   * @param {Object} options - replacementBuilderId, actor
+   * @returns {Promise<{deleted: boolean, moved: number, failed: number}>}
+   */
+  async deleteBuilder(builderId, { replacementBuilderId, actor } = {}) {
+    if (!isObjectId(builderId)) throw serviceError('Invalid builder ID', 400);
+    const builder = await Builder.findById(builderId);
+    if (!builder) throw serviceError('Builder not found', 404);
+
+    const accounts = await User.find({ builder: builder._id }).select('name phoneNumber role').lean();
+    if (accounts.length > 0) {
+      throw serviceError(
+        `Builder "${builder.name}" has ${plural(accounts.length, 'partner account')} - link them to another builder first`,
+        409,
+        { dependents: { total: accounts.length, accounts } }
+      );
+    }
+
+    const filter = { builder: builder._id };
+    let result = { moved: 0, failed: 0 };
+
+    if (replacementBuilderId) {
+      if (String(replacementBuilderId) === builder._id.toString()) {
+        throw serviceError('A builder cannot be replaced by itself', 400);
+      }
+      const replacement = isObjectId(replacementBuilderId)
+        ? await Builder.findById(replacementBuilderId).select('_id')
+        : null;
+      if (!replacement) throw serviceError('Replacement builder not found', 400);
+
+      result = await this.moveProperties(filter, (property) => {
+        property.builder = replacement._id;
+      }, { actor });
+      if (result.failed > 0) return { deleted: false, ...result };
+    }
+
+    await this.assertNoDependents(filter, `Builder "${builder.name}"`);
+    await Builder.deleteOne({ _id: builder._id });
+    await mediaReferenceService.releaseDocument('builder', builder);
+
+    logger.info('Builder deleted', { builderId: builder._id.toString(), moved: result.moved, userId: actor?.userId });
+    return { deleted: true, ...result };
+  }
+
+  // Replacement category and subcategory for a delete; 400 when either doesn't exist
+  async resolveSubcategory(categoryId, subcategoryId) {
+    const replacement = isObjectId(categoryId) ? await Category.findById(categoryId) : null;
+    if (!replacement) throw serviceError('Replacement category not found', 400);
+    const subcategory = isObjectId(subcategoryId) ? replacement.deepSubcategories.id(subcategoryId) : null;
+    if (!subcategory) throw serviceError('Replacement subcategory not found in the replacement category', 400);
+    return { replacement, subcategory };
+  }
+}
+
+export default new TaxonomyService();
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeCsvValue, parseCsv, toCsvRow, unguardCsvValue } from '../utils/csv.js';
+
+test('escapeCsvValue quotes commas, quotes and newlines', () => {
+  assert.equal(escapeCsvValue('plain'), 'plain');
+  assert.equal(escapeCsvValue('a,b'), '"a,b"');
+  assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsvValue(null), '');
+});
+
+test('escapeCsvValue neutralizes formula-leading text', () => {
+  assert.equal(escapeCsvValue('=HYPERLINK("http://evil","x")'), '"\'=HYPERLINK(""http://evil"",""x"")"');
+  assert.equal(escapeCsvValue('+1 555'), "'+1 555");
+  assert.equal(escapeCsvValue('-2+3'), "'-2+3");
+  assert.equal(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(escapeCsvValue('\tcmd'), "'\tcmd");
+  assert.equal(escapeCsvValue('\rcmd'), '"\'\rcmd"');
+});
+
+test('escapeCsvValue leaves numbers and dates alone', () => {
+  assert.equal(escapeCsvValue(-5), '-5');
+  assert.equal(escapeCsvValue(new Date('2025-01-31T00:00:00Z')), '2025-01-31T00:00:00.000Z');
+});
+
+test('guarded values round-trip through parseCsv and unguardCsvValue', () => {
+  const values = ['=1+1', '- bullet', 'normal', "'quoted"];
+  const [cells] = parseCsv(toCsvRow(values));
+  assert.deepEqual(cells.map(unguardCsvValue), values);
+});
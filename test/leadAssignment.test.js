@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import leadAssignmentService from '../services/leadAssignmentService.js';
+
+const builderId = new mongoose.Types.ObjectId();
+const propertyId = new mongoose.Types.ObjectId();
+const lead = { city: ' Pune ', source: 'website', priority: 'high', propertyId };
+
+test('ruleMatches treats empty conditions as matching any lead', () => {
+  assert.ok(leadAssignmentService.ruleMatches({}, lead, null));
+  assert.ok(leadAssignmentService.ruleMatches({ conditions: { cities: [], sources: [] } }, lead, null));
+});
+
+test('ruleMatches requires every condition to match', () => {
+  const rule = { conditions: { cities: ['pune'], sources: ['website'], builders: [builderId] } };
+  assert.ok(leadAssignmentService.ruleMatches(rule, lead, { builder: builderId }));
+  assert.ok(!leadAssignmentService.ruleMatches(rule, lead, { builder: new mongoose.Types.ObjectId() }));
+  assert.ok(!leadAssignmentService.ruleMatches(rule, lead, null));
+  assert.ok(!leadAssignmentService.ruleMatches(rule, { ...lead, source: 'referral' }, { builder: builderId }));
+  assert.ok(leadAssignmentService.ruleMatches({ conditions: { properties: [String(propertyId)] } }, lead, null));
+  assert.ok(!leadAssignmentService.ruleMatches({ conditions: { properties: [propertyId] } }, { ...lead, propertyId: null }, null));
+});
+
+test('chooseAgent rotates round robin by the assignment counter', () => {
+  const agents = ['a', 'b', 'c'];
+  const picks = [1, 2, 3, 4].map(count => leadAssignmentService.chooseAgent('round_robin', agents, { count }));
+  assert.deepEqual(picks, ['a', 'b', 'c', 'a']);
+});
+
+test('chooseAgent spreads least load over the tied agents', () => {
+  const agents = ['a', 'b', 'c'];
+  const loads = new Map([['a', 4], ['b', 1]]);
+  const picks = [1, 2, 3].map(count => leadAssignmentService.chooseAgent('least_load', agents, { count, loads }));
+  // c has no open leads, so it ties with nobody
+  assert.deepEqual(picks, ['c', 'c', 'c']);
+  loads.set('c', 1);
+  assert.deepEqual([1, 2].map(count => leadAssignmentService.chooseAgent('least_load', agents, { count, loads })), ['b', 'c']);
+});
+
+test('validateRule reports invalid fields', async () => {
+  const errors = await leadAssignmentService.validateRule({
+    name: ' ',
+    strategy: 'random',
+    order: 'first',
+    conditions: { cities: 'Pune', sources: ['carrier-pigeon'], builders: ['nope'] },
+    agents: ['not-an-id']
+  });
+  assert.deepEqual(errors.map(error => error.field), [
+    'name',
+    'strategy',
+    'order',
+    'conditions.cities',
+    'conditions.sources',
+    'conditions.builders',
+    'agents'
+  ]);
+});
+
+test('validateRule requires an agent pool and object conditions', async () => {
+  const errors = await leadAssignmentService.validateRule({ name: 'Pune', conditions: ['cities'], agents: [] });
+  assert.deepEqual(errors.map(error => error.field), ['conditions', 'agents']);
+});
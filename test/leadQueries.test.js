@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeadFilter, buildLeadSort, PARTNER_LEAD_SORT_FIELDS } from '../utils/leadQueries.js';
+
+test('buildLeadFilter matches the city literally', () => {
+  const { city } = buildLeadFilter({ city: 'a(b' });
+  assert.ok(city.test('A(B'));
+  assert.ok(!city.test('ab'));
+});
+
+test('buildLeadSort keeps partners to the allowed fields', () => {
+  assert.deepEqual(buildLeadSort({ sortBy: 'priority', sortOrder: 'asc' }, { allowed: PARTNER_LEAD_SORT_FIELDS }), { createdAt: 1 });
+  assert.deepEqual(buildLeadSort({ sortBy: 'city' }, { allowed: PARTNER_LEAD_SORT_FIELDS }), { city: -1 });
+  assert.deepEqual(buildLeadSort({ sortBy: 'priority' }), { priority: -1 });
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import { snapshotProperty, diffSnapshots, restorableFields } from '../models/PropertyHistory.js';
+import { EDITABLE_PROPERTY_FIELDS } from '../utils/propertyValidation.js';
+
+const restoreFields = [...EDITABLE_PROPERTY_FIELDS, 'geoLocation'];
+
+const loadProperty = (fields = {}) => Managedproperty.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'regular',
+  title: 'Sea view flat',
+  price: 9000000,
+  slug: 'sea-view-flat',
+  externalRef: 'CRM-1',
+  createdBy: 'user-1',
+  ...fields
+});
+
+test('snapshots record empty tracked fields as null', () => {
+  const snapshot = snapshotProperty(loadProperty());
+  assert.equal(snapshot.brochure, null);
+  assert.ok(Object.hasOwn(snapshot, 'brochure'));
+  assert.ok(!Object.hasOwn(snapshot, 'slug'));
+});
+
+test('diffSnapshots treats missing and null as the same', () => {
+  assert.deepEqual(diffSnapshots({ title: 'A' }, { title: 'A', brochure: null }), []);
+  assert.deepEqual(diffSnapshots({}, { title: 'A' }), [{ field: 'title', from: null, to: 'A' }]);
+});
+
+test('restoring an older version reverts tracked fields and keeps untracked ones', () => {
+  const property = loadProperty({ brochure: 'https://cdn.example.com/v1.pdf' });
+  const version1 = snapshotProperty(property);
+
+  property.set({
+    title: 'Sea view flat, renovated',
+    price: 9500000,
+    description: 'Added later',
+    slug: 'sea-view-flat-renovated',
+    externalRef: 'CRM-2'
+  });
+
+  property.set(restorableFields(version1, restoreFields));
+
+  assert.equal(property.title, 'Sea view flat');
+  assert.equal(property.price, 9000000);
+  assert.equal(property.brochure, 'https://cdn.example.com/v1.pdf');
+  // Empty in version 1, so cleared again
+  assert.equal(property.description, null);
+  // Not tracked by the history - left alone
+  assert.equal(property.slug, 'sea-view-flat-renovated');
+  assert.equal(property.externalRef, 'CRM-2');
+  assert.equal(property.createdBy, 'user-1');
+});
+
+test('fields a version predates keep their current value', () => {
+  // Written before brochures were tracked
+  const legacySnapshot = { title: 'Sea view flat', price: 9000000 };
+  const restored = restorableFields(legacySnapshot, restoreFields);
+  assert.deepEqual(restored, { title: 'Sea view flat', price: 9000000 });
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import City from '../models/City.js';
+import Category from '../models/category.js';
+import Managedproperty from '../models/property.js';
+import propertyImportService, { parseAmount } from '../services/propertyImportService.js';
+
+const city = City.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Pune',
+  slug: 'pune',
+  localities: [{ _id: new mongoose.Types.ObjectId(), name: 'Baner', slug: 'baner' }]
+});
+const category = Category.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Residential',
+  deepSubcategories: [{ _id: new mongoose.Types.ObjectId(), name: 'Apartment', attributes: [] }]
+});
+const lookups = propertyImportService.indexLookups({ cities: [city], categories: [category] });
+
+const csvFile = (lines) => ({ originalname: 'import.csv', buffer: Buffer.from(lines.join('\n')) });
+
+const HEADER = 'Ref,Title,Description,Price,For,City,Locality,Category,Subcategory';
+const row = (ref, title = 'Flat in Baner') => `${ref},${title},Two bedrooms,85 L,sale,Pune,Baner,Residential,Apartment`;
+
+const dryRun = async (lines, existing = []) => {
+  const { rows } = await propertyImportService.readRows(csvFile(lines));
+  const existingByRef = new Map(existing.map(property => [property.externalRef, property]));
+  return propertyImportService.importRows(rows, { lookups, existingByRef, dryRun: true });
+};
+
+test('parseAmount reads plain numbers and Indian units', () => {
+  assert.equal(parseAmount('8500000'), 8500000);
+  assert.equal(parseAmount('₹ 45,00,000'), 4500000);
+  assert.equal(parseAmount('85 L'), 8500000);
+  assert.equal(parseAmount('1.2 Cr'), 12000000);
+  assert.equal(parseAmount('2.5 lakhs'), 250000);
+  assert.equal(parseAmount('12.5k'), 12500);
+});
+
+test('parseAmount rejects unknown units and text', () => {
+  assert.ok(Number.isNaN(parseAmount('85 M')));
+  assert.ok(Number.isNaN(parseAmount('about 85 L')));
+  assert.ok(Number.isNaN(parseAmount('')));
+});
+
+test('dry runs flag rows without an external reference', async () => {
+  const { summary, results } = await dryRun([HEADER, row('CRM-1'), row('')]);
+  assert.deepEqual(summary, { create: 1, update: 0, unchanged: 0, invalid: 1, failed: 0 });
+  assert.equal(results[0].action, 'create');
+  assert.equal(results[1].action, 'invalid');
+  assert.equal(results[1].externalRef, null);
+  assert.deepEqual(results[1].errors[0], { field: 'externalRef', message: 'External reference is required' });
+});
+
+test('dry runs flag repeated external references after the first', async () => {
+  const { summary, results } = await dryRun([HEADER, row('CRM-1'), row('CRM-2'), row('CRM-1', 'Other flat')]);
+  assert.deepEqual(results.map(result => result.action), ['create', 'create', 'invalid']);
+  assert.equal(summary.invalid, 1);
+  assert.deepEqual(results[2].errors[0], { field: 'externalRef', message: 'Duplicate external reference "CRM-1" in file' });
+});
+
+test('dry runs report the fields an import would change on an existing listing', async () => {
+  const property = Managedproperty.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    externalRef: 'CRM-1',
+    type: 'regular',
+    title: 'Flat in Baner',
+    description: 'Two bedrooms',
+    price: 8000000,
+    propertyAction: 'Sale',
+    city: city._id,
+    location: city.localities[0]._id.toString(),
+    category: category._id,
+    subcategory: category.deepSubcategories[0]._id.toString(),
+    subcategoryName: 'Apartment'
+  });
+  const { summary, results } = await dryRun([HEADER, row('CRM-1')], [property]);
+  assert.equal(summary.update, 1);
+  assert.deepEqual(results[0].changedFields, ['price']);
+});
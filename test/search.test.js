@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { highlight } from '../utils/search.js';
+
+test('highlight wraps matching words in <em>', () => {
+  assert.equal(highlight('Spacious villa in Goa', ['villa']), 'Spacious <em>villa</em> in Goa');
+});
+
+test('highlight escapes the surrounding text', () => {
+  assert.equal(
+    highlight('<img src=x onerror="alert(1)"> villa & pool', ['villa']),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <em>villa</em> &amp; pool'
+  );
+});
+
+test('highlight escapes long texts cut down to a snippet', () => {
+  const text = `${'x'.repeat(200)} <b>villa</b> ${'y'.repeat(200)}`;
+  const result = highlight(text, ['villa']);
+  assert.ok(result.includes('&lt;b&gt;<em>villa</em>&lt;/b&gt;'));
+  assert.ok(!result.includes('<b>'));
+});
@@ -1,3 +1,6 @@
+import fs from 'fs';
+import { getSignedUrl } from '@aws-sdk/cloudfront-signer';
+
 // Utility function to convert S3 URLs to CloudFront URLs
 export function convertToCloudFrontUrl(s3Url) {
   if (!s3Url) return '';
@@ -7,8 +10,8 @@ export function convertToCloudFrontUrl(s3Url) {
     return s3Url;
   }
   
-  // If it's an S3 URL, convert to CloudFront
-  if (s3Url.includes('s3.amazonaws.com') || s3Url.includes('s3-')) {
+  // If it's an S3 URL (path-style, including regional s3.<region>.amazonaws.com hosts), convert to CloudFront
+  if (s3Url.includes('s3.amazonaws.com') || s3Url.includes('s3-') || /\/\/s3\.[a-z0-9-]+\.amazonaws\.com\//.test(s3Url)) {
     // Extract the bucket and key from S3 URL
     const url = new URL(s3Url);
     const pathParts = url.pathname.split('/').filter(part => part);
@@ -30,3 +33,58 @@ export function convertToCloudFrontUrl(s3Url) {
   // If it's already a relative URL or doesn't match S3 pattern, return as is
   return s3Url;
 }
+
+// Private key for signed URLs: CLOUDFRONT_PRIVATE_KEY (PEM, "\n" escapes allowed) or CLOUDFRONT_PRIVATE_KEY_PATH
+let signingKey;
+const getSigningKey = () => {
+  if (signingKey !== undefined) return signingKey;
+  if (process.env.CLOUDFRONT_PRIVATE_KEY) {
+    signingKey = process.env.CLOUDFRONT_PRIVATE_KEY.replace(/\\n/g, '\n');
+  } else if (process.env.CLOUDFRONT_PRIVATE_KEY_PATH) {
+    signingKey = fs.readFileSync(process.env.CLOUDFRONT_PRIVATE_KEY_PATH, 'utf8');
+  } else {
+    signingKey = null;
+  }
+  return signingKey;
+};
+
+// Signed URLs need a CloudFront key pair (public key registered in a trusted key group) and the
+// private distribution that requires it - see utils/privateDocuments.js for the setup
+export function isCloudFrontSigningConfigured() {
+  return !!process.env.CLOUDFRONT_PRIVATE_DOMAIN && !!process.env.CLOUDFRONT_KEY_PAIR_ID && !!getSigningKey();
+}
+
+// The same object on the private distribution (null when the URL isn't an S3 or CloudFront URL)
+const toPrivateDistribution = (url) => {
+  try {
+    const target = new URL(convertToCloudFrontUrl(url));
+    const domain = process.env.CLOUDFRONT_PRIVATE_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    return `https://${domain}${target.pathname}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Short-lived signed URL on the private CloudFront distribution for an S3 or CloudFront URL
+ * @param {string} url - Stored S3 URL (or an already converted CloudFront URL)
+ * @param {Object} options
+ * @param {number} options.expiresIn - Seconds the URL stays valid
+ * @returns {{url: string, expiresAt: Date}|null}
+ */
+export function getSignedCloudFrontUrl(url, { expiresIn = 900 } = {}) {
+  if (!url || !isCloudFrontSigningConfigured()) return null;
+
+  const cloudFrontUrl = toPrivateDistribution(url);
+  if (!cloudFrontUrl) return null;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  return {
+    url: getSignedUrl({
+      url: cloudFrontUrl,
+      keyPairId: process.env.CLOUDFRONT_KEY_PAIR_ID,
+      privateKey: getSigningKey(),
+      dateLessThan: expiresAt.toISOString()
+    }),
+    expiresAt
+  };
+}
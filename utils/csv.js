@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading and writing
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas, quotes and newlines.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Text starting with these is run as a formula by Excel and other spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output when needed. Text that a spreadsheet would run as a formula
+// (lead names and messages come from the public form) is prefixed with ' so it stays text.
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the formula guard of escapeCsvValue, so exported files can be imported again
+export function unguardCsvValue(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// One CSV line (with trailing newline) from an array of values
+export function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+export default {
+  parseCsv,
+  escapeCsvValue,
+  unguardCsvValue,
+  toCsvRow
+};
@@ -0,0 +1,62 @@
+// Geo helpers for property coordinates (GeoJSON points are [longitude, latitude])
+
+export const isValidLatitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -90 && value <= 90;
+export const isValidLongitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -180 && value <= 180;
+
+// Build a GeoJSON point, or null when the coordinates are invalid
+export function toGeoPoint(lat, lng) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === '' || lng === '' || lat === null || lng === null) return null;
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+}
+
+// Google Maps URL formats that carry coordinates, in order of precision
+const MAP_URL_PATTERNS = [
+  // Place data: ...!3d28.4123!4d77.0432
+  { regex: /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/, order: 'latLng' },
+  // Embed URLs: ...!2d77.0432!3d28.4123
+  { regex: /!2d(-?\d+(?:\.\d+)?)!3d(-?\d+(?:\.\d+)?)/, order: 'lngLat' },
+  // Query parameters: ?q=28.41,77.04 / ?query= / ?ll= / ?center= / ?destination=
+  { regex: /[?&](?:q|query|ll|center|destination|daddr)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i, order: 'latLng' },
+  // Viewport: /@28.4123,77.0432,15z
+  { regex: /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/, order: 'latLng' },
+  // Path coordinates: /place/28.41,77.04 or /search/28.41,+77.04
+  { regex: /\/(?:place|search|dir)\/(-?\d+(?:\.\d+)?)(?:,|%2C)\+?(-?\d+(?:\.\d+)?)/i, order: 'latLng' }
+];
+
+/**
+ * Extract coordinates from a Google Maps URL.
+ * Short links (maps.app.goo.gl) carry no coordinates and return null.
+ * @param {string} url - Google Maps URL
+ * @returns {{type: string, coordinates: Array<number>}|null} - GeoJSON point
+ */
+export function parseMapUrlCoordinates(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch (error) {
+    // Keep the raw URL if it is not valid URI encoding
+  }
+
+  for (const { regex, order } of MAP_URL_PATTERNS) {
+    const match = decoded.match(regex);
+    if (!match) continue;
+
+    const [first, second] = [match[1], match[2]];
+    const point = order === 'latLng' ? toGeoPoint(first, second) : toGeoPoint(second, first);
+    if (point) return point;
+  }
+
+  return null;
+}
+
+export default {
+  isValidLatitude,
+  isValidLongitude,
+  toGeoPoint,
+  parseMapUrlCoordinates
+};
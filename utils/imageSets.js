@@ -0,0 +1,110 @@
+import MediaAsset from '../models/MediaAsset.js';
+import { IMAGE_VARIANT_FORMATS } from '../services/imageVariantService.js';
+import { mediaKeyFromUrl } from '../services/mediaReferenceService.js';
+import { convertToCloudFrontUrl } from './cloudfront.js';
+
+// Image fields that get an image set in API responses
+export const PROPERTY_IMAGE_FIELDS = [
+  'displayImage',
+  'projectImages',
+  'images',
+  'wallpaperImage',
+  'projectLogo',
+  'descriptionImage',
+  'highlightImage'
+];
+export const BUILDER_IMAGE_FIELDS = ['logo', 'backgroundImage'];
+export const CITY_IMAGE_FIELDS = ['backgroundImage'];
+
+/**
+ * Responsive image description for one URL:
+ * { src, width, height, variants: { thumb: { width, height, avif, webp, jpeg }, ... }, srcset: { avif: "url 320w, ...", ... } }
+ * variants and srcset are null when no variants exist (e.g. images added before processing existed).
+ */
+export function buildImageSet(url, asset) {
+  const imageSet = {
+    src: convertToCloudFrontUrl(url),
+    width: asset?.width || null,
+    height: asset?.height || null,
+    variants: null,
+    srcset: null
+  };
+  if (!asset || asset.variantStatus !== 'ready' || !asset.variants?.length) {
+    return imageSet;
+  }
+
+  imageSet.variants = {};
+  imageSet.srcset = {};
+  for (const variant of asset.variants) {
+    const cdnUrl = convertToCloudFrontUrl(variant.url);
+    const entry = imageSet.variants[variant.name] || { width: variant.width, height: variant.height };
+    entry[variant.format] = cdnUrl;
+    imageSet.variants[variant.name] = entry;
+  }
+
+  // Small originals give several variants of the same width - list each width once
+  for (const format of Object.keys(IMAGE_VARIANT_FORMATS)) {
+    const byWidth = new Map();
+    for (const variant of asset.variants) {
+      if (variant.format === format && !byWidth.has(variant.width)) {
+        byWidth.set(variant.width, `${convertToCloudFrontUrl(variant.url)} ${variant.width}w`);
+      }
+    }
+    if (byWidth.size) {
+      imageSet.srcset[format] = [...byWidth.entries()].sort((a, b) => a[0] - b[0]).map(([, entry]) => entry).join(', ');
+    }
+  }
+
+  return imageSet;
+}
+
+/**
+ * Add an `imageSets` object to each response object, with an image set per image field
+ * (arrays of image sets for array fields). The plain URL fields are left as they are.
+ * @param {Array<Object>|Object} objects - Plain response objects (URLs may already be CloudFront URLs)
+ * @param {Array<string>} fields - Image fields to describe
+ * @returns {Promise<Array<Object>|Object>} - The same objects
+ */
+export async function addImageSets(objects, fields) {
+  const list = Array.isArray(objects) ? objects : [objects];
+  const valuesOf = (object, field) => [].concat(object[field] || []).filter(Boolean);
+
+  const keys = new Set();
+  for (const object of list) {
+    for (const field of fields) {
+      for (const url of valuesOf(object, field)) {
+        const key = mediaKeyFromUrl(url);
+        if (key) keys.add(key);
+      }
+    }
+  }
+
+  const assets = keys.size
+    ? await MediaAsset.find({ key: { $in: [...keys] }, kind: 'image' })
+      .select('key width height variants variantStatus')
+      .lean()
+    : [];
+  const assetsByKey = new Map(assets.map(asset => [asset.key, asset]));
+
+  for (const object of list) {
+    object.imageSets = {};
+    for (const field of fields) {
+      const toSet = (url) => buildImageSet(url, assetsByKey.get(mediaKeyFromUrl(url)));
+      if (Array.isArray(object[field])) {
+        object.imageSets[field] = object[field].filter(Boolean).map(toSet);
+      } else if (object[field]) {
+        object.imageSets[field] = toSet(object[field]);
+      }
+    }
+  }
+
+  return objects;
+}
+
+export default {
+  PROPERTY_IMAGE_FIELDS,
+  BUILDER_IMAGE_FIELDS,
+  CITY_IMAGE_FIELDS,
+  buildImageSet,
+  addImageSets
+};
@@ -0,0 +1,57 @@
+import { escapeRegex } from './search.js';
+
+// Lead list/export query helpers shared by the staff lead routes and the builder partner portal
+
+// Fields partners may sort by - sorting on a hidden field would reveal its order
+export const PARTNER_LEAD_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'city', 'status', 'source', 'followUpDate'];
+
+// Filter from the list/export query parameters
+export function buildLeadFilter({ status, city, source, propertyId }) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (city) filter.city = new RegExp(escapeRegex(String(city)), 'i');
+  if (source) filter.source = source;
+  if (propertyId) filter.propertyId = propertyId;
+  return filter;
+}
+
+// Sort from the query parameters; with `allowed`, other fields fall back to createdAt
+export function buildLeadSort({ sortBy = 'createdAt', sortOrder = 'desc' }, { allowed } = {}) {
+  const field = allowed && !allowed.includes(sortBy) ? 'createdAt' : sortBy;
+  return { [field]: sortOrder === 'desc' ? -1 : 1 };
+}
+
+export const LEAD_EXPORT_COLUMNS = [
+  { header: 'ID', value: l => l._id.toString(), width: 26 },
+  { header: 'Name', value: l => l.name, width: 24 },
+  { header: 'Phone', value: l => l.phone, width: 16 },
+  { header: 'Email', value: l => l.email, width: 28 },
+  { header: 'City', value: l => l.city },
+  { header: 'Property', value: l => l.propertyId?.projectName || l.propertyId?.title || l.propertyName, width: 32 },
+  { header: 'Property URL', value: l => l.propertyUrl, width: 40 },
+  { header: 'Property Interest', value: l => l.propertyInterest, width: 24 },
+  { header: 'Message', value: l => l.message, width: 40 },
+  { header: 'Source', value: l => l.source },
+  { header: 'Status', value: l => l.status },
+  { header: 'Priority', value: l => l.priority },
+  { header: 'Assigned To', value: l => l.assignedTo?.name, width: 20 },
+  { header: 'Follow Up Date', value: l => l.followUpDate, width: 22 },
+  { header: 'Tags', value: l => l.tags },
+  { header: 'Notes', value: l => (l.notes || []).length },
+  { header: 'UTM Source', value: l => l.metadata?.utmSource },
+  { header: 'UTM Campaign', value: l => l.metadata?.utmCampaign },
+  { header: 'Created At', value: l => l.createdAt, width: 22 },
+  { header: 'Updated At', value: l => l.updatedAt, width: 22 }
+];
+
+// Partners see their leads, not our internal handling of them
+const INTERNAL_LEAD_COLUMNS = ['Priority', 'Assigned To', 'Tags', 'Notes'];
+export const PARTNER_LEAD_EXPORT_COLUMNS = LEAD_EXPORT_COLUMNS.filter(column => !INTERNAL_LEAD_COLUMNS.includes(column.header));
+
+export default {
+  PARTNER_LEAD_SORT_FIELDS,
+  buildLeadFilter,
+  buildLeadSort,
+  LEAD_EXPORT_COLUMNS,
+  PARTNER_LEAD_EXPORT_COLUMNS
+};
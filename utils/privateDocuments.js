@@ -0,0 +1,98 @@
+import { isCloudFrontSigningConfigured, getSignedCloudFrontUrl } from './cloudfront.js';
+
+/**
+ * Private floor plans, master plans and brochures.
+ *
+ * Hiding the link is not enough: the files must not be reachable through the public CDN. While
+ * signing is configured, uploads to the document fields go under PRIVATE_DOCUMENT_FOLDER and are
+ * only served, through signed URLs, by a separate CloudFront distribution.
+ *
+ * Infrastructure:
+ *   - Public distribution (CLOUDFRONT_DOMAIN): must not serve PRIVATE_DOCUMENT_FOLDER/* - add a
+ *     behaviour for that path that requires the trusted key group below, or deny it at the origin.
+ *   - Private distribution (CLOUDFRONT_PRIVATE_DOMAIN): same bucket as origin (origin access
+ *     control, the bucket itself stays private), every behaviour restricted to a trusted key group.
+ *   - Key group: holds the public key of the pair whose id is CLOUDFRONT_KEY_PAIR_ID; the private
+ *     key goes in CLOUDFRONT_PRIVATE_KEY or CLOUDFRONT_PRIVATE_KEY_PATH.
+ *   - CLOUDFRONT_SIGNED_URL_TTL: lifetime of the signed URLs in seconds (default 15 minutes).
+ *
+ * Documents uploaded before this was configured still live under the public folders and stay
+ * reachable there; upload them again to move them under PRIVATE_DOCUMENT_FOLDER.
+ */
+
+// Property fields that hold documents a builder can restrict to signed-in users
+export const PRIVATE_DOCUMENT_FIELDS = ['floorPlan', 'masterPlan', 'brochure'];
+
+// Bucket folder the document fields are uploaded to while signing is configured
+export const PRIVATE_DOCUMENT_FOLDER = 'private-documents';
+
+// Whether a URL points into PRIVATE_DOCUMENT_FOLDER, i.e. can only be opened through a signed URL
+export function isPrivatelyStored(url) {
+  try {
+    return new URL(url).pathname.split('/').includes(PRIVATE_DOCUMENT_FOLDER);
+  } catch {
+    return false;
+  }
+}
+
+// Lifetime of the signed URLs handed to signed-in users
+const signedUrlTtl = () => Number(process.env.CLOUDFRONT_SIGNED_URL_TTL) || 15 * 60;
+
+/**
+ * Whether a property's documents are private: its builder opted in (Builder.privateDocuments)
+ * and CloudFront URL signing is configured. The builder must be populated with privateDocuments.
+ */
+export function hasPrivateDocuments(property) {
+  return property?.builder?.privateDocuments === true && isCloudFrontSigningConfigured();
+}
+
+/**
+ * Replace the private document URLs of a plain property object: signed CloudFront URLs for
+ * signed-in users, the locked placeholder (LOCKED_DOCUMENT_PLACEHOLDER_URL, or null) for everyone
+ * else. Adds `documentAccess` describing what happened. On public properties only documents stored
+ * under PRIVATE_DOCUMENT_FOLDER change, to signed URLs for everyone.
+ * @param {Object} propertyObj - Plain property object (modified in place)
+ * @param {Object|null} user - req.user, when signed in
+ * @returns {Object} - The same object
+ */
+export function applyDocumentAccess(propertyObj, user) {
+  const isPrivate = hasPrivateDocuments(propertyObj);
+  const locked = isPrivate && !user;
+  const placeholder = process.env.LOCKED_DOCUMENT_PLACEHOLDER_URL || null;
+  const expiresIn = signedUrlTtl();
+  let expiresAt = null;
+
+  const protect = (url) => {
+    if (!url || (!isPrivate && !isPrivatelyStored(url))) return url;
+    if (locked) return placeholder;
+    const signed = getSignedCloudFrontUrl(url, { expiresIn });
+    if (!signed) return isPrivate ? placeholder : url;
+    expiresAt = signed.expiresAt;
+    return signed.url;
+  };
+
+  for (const field of PRIVATE_DOCUMENT_FIELDS) {
+    if (propertyObj[field]) {
+      propertyObj[field] = protect(propertyObj[field]);
+    }
+  }
+  if (Array.isArray(propertyObj.unitDetails)) {
+    propertyObj.unitDetails = propertyObj.unitDetails.map(unit => (
+      unit?.floorPlan ? { ...unit, floorPlan: protect(unit.floorPlan) } : unit
+    ));
+  }
+
+  if (!isPrivate) return propertyObj;
+  propertyObj.documentAccess = locked
+    ? { private: true, locked: true, reason: 'login_required' }
+    : { private: true, locked: false, expiresAt };
+  return propertyObj;
+}
+
+export default {
+  PRIVATE_DOCUMENT_FIELDS,
+  PRIVATE_DOCUMENT_FOLDER,
+  isPrivatelyStored,
+  hasPrivateDocuments,
+  applyDocumentAccess
+};
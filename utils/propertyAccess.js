@@ -0,0 +1,32 @@
+import { hasPermission, ROLES } from '../middleware/jwtAuth.js';
+
+// Who may change a listing: its owner, admins, and the partners of the builder it belongs to
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Builder partner whose linked builder is the property's builder
+export function isPartnerProperty(user, property) {
+  return !!user && user.role === ROLES.BUILDER && !!user.builderId &&
+    property.type === 'builder' && idOf(property.builder) === user.builderId;
+}
+
+export function canEditProperty(user, property) {
+  return !!user && (
+    property.createdBy === user.id ||
+    hasPermission(user, 'properties:manageAny') ||
+    isPartnerProperty(user, property)
+  );
+}
+
+// Partners can't hand a listing to another builder (or turn it into a regular listing)
+export function keepsPartnerBuilder(user, property, changes) {
+  if (property.createdBy === user.id || hasPermission(user, 'properties:manageAny')) return true;
+  if (!isPartnerProperty(user, property)) return true;
+  return isPartnerProperty(user, { ...property.toObject(), ...changes });
+}
+
+export default {
+  isPartnerProperty,
+  canEditProperty,
+  keepsPartnerBuilder
+};
@@ -0,0 +1,200 @@
+import { escapeRegex } from './search.js';
+
+// Per-subcategory listing attributes (floor number, facing, furnishing, frontage, ...).
+// Each subcategory in Category.deepSubcategories defines its attributes; property values
+// live in Managedproperty.attributes keyed by attribute name.
+
+export const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'enum'];
+
+// Attribute names are used as object keys and query parameters
+const ATTRIBUTE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+// Listing filters: attr.<name>=value (comma-separated for enums), attr.<name>.min / attr.<name>.max for numbers
+export const ATTRIBUTE_FILTER_PREFIX = 'attr.';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the attribute definitions of a subcategory
+ * @param {Array} definitions - [{ name, label, type, unit, options, required }]
+ * @param {string} field - Prefix for the error fields
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+export function validateAttributeDefinitions(definitions, field = 'attributes') {
+  if (definitions === undefined) return [];
+  if (!Array.isArray(definitions)) {
+    return [{ field, message: 'Attributes must be an array' }];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  definitions.forEach((definition, index) => {
+    const at = `${field}[${index}]`;
+    if (!isPlainObject(definition)) {
+      errors.push({ field: at, message: 'Attribute must be an object' });
+      return;
+    }
+    const { name, type, options } = definition;
+    if (typeof name !== 'string' || !ATTRIBUTE_NAME_PATTERN.test(name)) {
+      errors.push({ field: `${at}.name`, message: 'Name must start with a letter and contain only letters, digits and underscores' });
+    } else if (seen.has(name.toLowerCase())) {
+      errors.push({ field: `${at}.name`, message: `Duplicate attribute "${name}"` });
+    } else {
+      seen.add(name.toLowerCase());
+    }
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      errors.push({ field: `${at}.type`, message: `Type must be one of ${ATTRIBUTE_TYPES.join(', ')}` });
+    }
+    if (type === 'enum') {
+      const values = Array.isArray(options) ? options.filter(option => !isBlank(option)) : [];
+      if (values.length === 0) {
+        errors.push({ field: `${at}.options`, message: 'Enum attributes need at least one option' });
+      } else if (new Set(values.map(String)).size !== values.length) {
+        errors.push({ field: `${at}.options`, message: 'Options must be unique' });
+      }
+    }
+  });
+  return errors;
+}
+
+// Convert one submitted value to the attribute's type; returns { value } or { error }
+const coerceValue = (definition, raw) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(raw);
+      return typeof raw !== 'boolean' && !isNaN(number) ? { value: number } : { error: 'must be a number' };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum': {
+      const option = definition.options.find(candidate => String(candidate) === String(raw).trim());
+      return option !== undefined ? { value: option } : { error: `must be one of ${definition.options.join(', ')}` };
+    }
+    default:
+      return typeof raw === 'object' ? { error: 'must be text' } : { value: String(raw).trim() };
+  }
+};
+
+/**
+ * Validate and normalise the attribute values of a property against its subcategory's definitions.
+ * Values are converted to their types; values without a definition (e.g. left over from a previous
+ * subcategory) are dropped.
+ * @param {Array} definitions - Attribute definitions of the property's subcategory
+ * @param {Object} values - Submitted attribute values keyed by name
+ * @returns {{attributes: Object|undefined, errors: Array<{field: string, message: string}>}}
+ */
+export function normalizeAttributes(definitions = [], values) {
+  if (values !== undefined && values !== null && !isPlainObject(values)) {
+    return { attributes: undefined, errors: [{ field: 'attributes', message: 'Attributes must be an object' }] };
+  }
+
+  const errors = [];
+  const attributes = {};
+  for (const definition of definitions) {
+    const raw = values?.[definition.name];
+    if (isBlank(raw)) {
+      if (definition.required) {
+        errors.push({ field: `attributes.${definition.name}`, message: `${definition.label || definition.name} is required` });
+      }
+      continue;
+    }
+    const { value, error } = coerceValue(definition, raw);
+    if (error) {
+      errors.push({ field: `attributes.${definition.name}`, message: `${definition.label || definition.name} ${error}` });
+    } else {
+      attributes[definition.name] = value;
+    }
+  }
+
+  return { attributes: Object.keys(attributes).length ? attributes : undefined, errors };
+}
+
+/**
+ * Build Managedproperty filter clauses from the attr.* query parameters.
+ * @param {Array} definitions - Attribute definitions the filters may use (merged across the searched subcategories)
+ * @param {Object} query - Express req.query
+ * @returns {{clauses: Object[], errors: Array<{field: string, message: string}>}}
+ */
+export function buildAttributeFilter(definitions, query = {}) {
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  const clauses = [];
+  const errors = [];
+  const ranges = new Map();
+
+  for (const [param, raw] of Object.entries(query)) {
+    if (!param.startsWith(ATTRIBUTE_FILTER_PREFIX) || isBlank(raw)) continue;
+    const [name, bound] = param.slice(ATTRIBUTE_FILTER_PREFIX.length).split('.');
+    const definition = byName.get(name);
+    if (!definition) {
+      errors.push({ field: param, message: `Unknown attribute "${name}"` });
+      continue;
+    }
+
+    if (bound === 'min' || bound === 'max') {
+      const number = Number(raw);
+      if (definition.type !== 'number') {
+        errors.push({ field: param, message: `${name} is not a numeric attribute` });
+      } else if (isNaN(number)) {
+        errors.push({ field: param, message: `${param} must be a number` });
+      } else {
+        const range = ranges.get(name) || {};
+        range[bound === 'min' ? '$gte' : '$lte'] = number;
+        ranges.set(name, range);
+      }
+      continue;
+    }
+    if (bound !== undefined) {
+      errors.push({ field: param, message: `Unknown filter "${param}"` });
+      continue;
+    }
+
+    // Comma-separated values match any of them
+    const matches = [];
+    for (const part of String(raw).split(',').map(value => value.trim()).filter(Boolean)) {
+      const { value, error } = definition.type === 'text' ? { value: part } : coerceValue(definition, part);
+      if (error) {
+        errors.push({ field: param, message: `${name} ${error}` });
+      } else {
+        matches.push(value);
+      }
+    }
+    if (definition.type === 'text') {
+      // Text values match case-insensitively
+      clauses.push({ [`attributes.${name}`]: { $in: matches.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) } });
+    } else if (matches.length) {
+      clauses.push({ [`attributes.${name}`]: { $in: matches } });
+    }
+  }
+
+  for (const [name, range] of ranges) {
+    clauses.push({ [`attributes.${name}`]: range });
+  }
+  return { clauses, errors };
+}
+
+/**
+ * Attribute definitions across several subcategories, by name. Subcategories that share an
+ * attribute name are expected to share its type; the first definition wins otherwise.
+ */
+export function mergeAttributeDefinitions(subcategories = []) {
+  const merged = new Map();
+  for (const subcategory of subcategories) {
+    for (const definition of subcategory?.attributes || []) {
+      if (!merged.has(definition.name)) merged.set(definition.name, definition);
+    }
+  }
+  return [...merged.values()];
+}
+
+export default {
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_FILTER_PREFIX,
+  validateAttributeDefinitions,
+  normalizeAttributes,
+  buildAttributeFilter,
+  mergeAttributeDefinitions
+};
@@ -0,0 +1,150 @@
+import { convertToCloudFrontUrl } from './cloudfront.js';
+
+export const MAX_COMPARE_PROPERTIES = 4;
+
+// Rows of the comparison matrix, in display order
+export const COMPARISON_ROWS = [
+  { key: 'type', label: 'Listing type' },
+  { key: 'propertyAction', label: 'For' },
+  { key: 'status', label: 'Status' },
+  { key: 'price', label: 'Price (INR)' },
+  { key: 'pricePerSqft', label: 'Price per sq ft (INR)' },
+  { key: 'area', label: 'Area (sq ft)' },
+  { key: 'configurations', label: 'Configurations' },
+  { key: 'units', label: 'Unit details' },
+  { key: 'possessionDate', label: 'Possession' },
+  { key: 'reraNo', label: 'RERA number' },
+  { key: 'builder', label: 'Builder' },
+  { key: 'locality', label: 'Locality' },
+  { key: 'city', label: 'City' },
+  { key: 'landArea', label: 'Land area' },
+  { key: 'amenities', label: 'Amenities' },
+  { key: 'connectivity', label: 'Connectivity' }
+];
+
+const range = (min, max) => {
+  if (typeof min !== 'number' && typeof max !== 'number') return null;
+  return {
+    min: typeof min === 'number' ? min : max,
+    max: typeof max === 'number' ? max : min
+  };
+};
+
+// Estimated from the price and area ranges: cheapest unit over smallest area, dearest over largest
+const pricePerSqft = (price, area) => {
+  if (!price || !area || !area.min || !area.max) return null;
+  return {
+    min: Math.round(price.min / area.min),
+    max: Math.round(price.max / area.max)
+  };
+};
+
+const sortedStrings = (values) => (
+  [...new Set((values || []).map(value => String(value).trim()).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b))
+);
+
+const resolveLocality = (property) => {
+  const city = property.city;
+  const locality = city && city.localities
+    ? city.localities.find(loc => loc._id.toString() === property.location)
+    : null;
+  return property.location
+    ? { id: property.location, name: locality ? locality.name : property.locality || null }
+    : null;
+};
+
+/**
+ * Normalize one property into comparable values, keyed by COMPARISON_ROWS.
+ * Expects city (with localities) and builder to be populated.
+ */
+export function normalizeForComparison(property) {
+  const price = property.type === 'builder'
+    ? range(property.minPrice, property.maxPrice)
+    : range(property.price, property.price);
+  const area = property.areaRange && typeof property.areaRange.min === 'number'
+    ? range(property.areaRange.min, property.areaRange.max)
+    : range(property.area, property.area);
+
+  const units = (property.unitDetails || []).map(unit => ({
+    unitType: unit.unitType || null,
+    area: unit.area || null,
+    floorPlan: unit.floorPlan ? convertToCloudFrontUrl(unit.floorPlan) : null
+  }));
+
+  const builder = property.builder && property.builder.name
+    ? { id: property.builder._id, name: property.builder.name, slug: property.builder.slug || null }
+    : null;
+
+  return {
+    type: property.type,
+    propertyAction: property.type === 'regular' ? property.propertyAction || null : null,
+    status: property.status || null,
+    price,
+    pricePerSqft: pricePerSqft(price, area),
+    area,
+    configurations: sortedStrings(units.length ? units.map(unit => unit.unitType) : [property.unitType]),
+    units,
+    possessionDate: property.possessionDate || null,
+    reraNo: property.reraNo || null,
+    builder,
+    locality: resolveLocality(property),
+    city: property.city && property.city.name ? property.city.name : null,
+    landArea: property.landArea || null,
+    amenities: sortedStrings(property.highlights),
+    connectivity: sortedStrings(property.connectivityPoints)
+  };
+}
+
+// Value used to decide whether a row differs - ids for references, unit types for units
+const comparableValue = (key, value) => {
+  if (value === null || value === undefined) return null;
+  if (key === 'builder' || key === 'locality') return String(value.id);
+  if (key === 'units') return value.map(unit => `${unit.unitType}|${unit.area}`).sort();
+  return value;
+};
+
+// Card shown at the top of each comparison column
+const summarize = (property) => {
+  const images = property.type === 'builder'
+    ? [property.wallpaperImage]
+    : (property.projectImages && property.projectImages.length ? property.projectImages : property.images) || [];
+  const displayImage = images.find(Boolean);
+
+  return {
+    id: property._id,
+    slug: property.slug || null,
+    title: property.title,
+    projectName: property.projectName || null,
+    displayImage: displayImage ? convertToCloudFrontUrl(displayImage) : null,
+    projectLogo: property.projectLogo ? convertToCloudFrontUrl(property.projectLogo) : null
+  };
+};
+
+/**
+ * Build the side-by-side comparison matrix.
+ * @param {Array<Object>} properties - Properties in the requested column order
+ * @returns {{properties: Array<Object>, rows: Array<{key: string, label: string, values: Array, differs: boolean}>, differingFields: Array<string>}}
+ */
+export function buildComparison(properties) {
+  const normalized = properties.map(normalizeForComparison);
+
+  const rows = COMPARISON_ROWS.map(({ key, label }) => {
+    const values = normalized.map(entry => entry[key]);
+    const distinct = new Set(values.map(value => JSON.stringify(comparableValue(key, value))));
+    return { key, label, values, differs: distinct.size > 1 };
+  });
+
+  return {
+    properties: properties.map(summarize),
+    rows,
+    differingFields: rows.filter(row => row.differs).map(row => row.key)
+  };
+}
+
+export default {
+  MAX_COMPARE_PROPERTIES,
+  COMPARISON_ROWS,
+  normalizeForComparison,
+  buildComparison
+};
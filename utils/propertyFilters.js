@@ -0,0 +1,331 @@
+import mongoose from 'mongoose';
+import Managedproperty from '../models/property.js';
+import Category from '../models/category.js';
+import City from '../models/City.js';
+import Builder from '../models/Builder.js';
+import { escapeRegex } from './search.js';
+import { buildAttributeFilter, mergeAttributeDefinitions, ATTRIBUTE_FILTER_PREFIX } from './propertyAttributes.js';
+
+// Price buckets (INR) used for the listing facets. Builder projects are bucketed by their starting price.
+export const PRICE_BUCKETS = [
+  { key: 'under-25l', label: 'Under 25 L', min: 0, max: 2500000 },
+  { key: '25l-50l', label: '25 L - 50 L', min: 2500000, max: 5000000 },
+  { key: '50l-75l', label: '50 L - 75 L', min: 5000000, max: 7500000 },
+  { key: '75l-1cr', label: '75 L - 1 Cr', min: 7500000, max: 10000000 },
+  { key: '1cr-2cr', label: '1 Cr - 2 Cr', min: 10000000, max: 20000000 },
+  { key: '2cr-5cr', label: '2 Cr - 5 Cr', min: 20000000, max: 50000000 },
+  { key: 'above-5cr', label: 'Above 5 Cr', min: 50000000, max: null }
+];
+
+// Public listing filter - listings created before the publication workflow have no status and count as published
+export const PUBLISHED_FILTER = { publicationStatus: { $in: ['published', null] } };
+
+const isObjectIdString = (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+
+// Parse an optional numeric query value; records an error when present but invalid
+const parseNumber = (query, name, errors) => {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number) || number < 0) {
+    errors.push({ field: name, message: `${name} must be a non-negative number` });
+    return undefined;
+  }
+  return number;
+};
+
+// Parse an optional YYYY-MM (or YYYY-MM-DD) query value into YYYY-MM
+const parseMonth = (query, name, errors) => {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(value)) {
+    errors.push({ field: name, message: `${name} must be in YYYY-MM format` });
+    return undefined;
+  }
+  return value.slice(0, 7);
+};
+
+/**
+ * Build the Managedproperty filter for the listing query string.
+ * Reference ids are cast to ObjectIds so the filter also works in aggregation pipelines.
+ * @param {Object} query - Express req.query
+ * @returns {Promise<{filter: Object, errors: Array<{field: string, message: string}>}>}
+ */
+export async function buildPropertyFilter(query = {}) {
+  const { type, status, city, category, subcategory, builder, propertyAction, bhk, unitType } = query;
+  const errors = [];
+  const filter = {};
+  const andClauses = [];
+
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (propertyAction) filter.propertyAction = propertyAction;
+  if (city) {
+    // Check if city is an ObjectId or city name
+    if (isObjectIdString(city)) {
+      filter.city = new mongoose.Types.ObjectId(city);
+    } else {
+      // It's a city name, we need to find the city first
+      const cityDoc = await City.findOne({ name: new RegExp(escapeRegex(city), 'i') });
+      if (cityDoc) {
+        filter.city = cityDoc._id;
+      }
+    }
+  }
+  if (category) {
+    filter.category = isObjectIdString(category) ? new mongoose.Types.ObjectId(category) : category;
+  }
+  if (subcategory) filter.subcategory = subcategory;
+  if (builder) {
+    // Filter by builder ID
+    let builderObjectId = null;
+
+    if (isObjectIdString(builder)) {
+      builderObjectId = new mongoose.Types.ObjectId(builder);
+    } else {
+      // It's a builder slug, find the builder first
+      const builderDoc = await Builder.findOne({ slug: builder });
+      if (builderDoc) {
+        builderObjectId = builderDoc._id;
+      } else {
+        // If builder not found by slug, try to find by name (case insensitive)
+        const builderByName = await Builder.findOne({ name: new RegExp(escapeRegex(builder), 'i') });
+        if (builderByName) {
+          builderObjectId = builderByName._id;
+        }
+      }
+    }
+
+    if (builderObjectId) {
+      // Match both ObjectId and string representations
+      andClauses.push({
+        $or: [
+          { builder: builderObjectId },
+          { builder: builderObjectId.toString() }
+        ]
+      });
+    } else {
+      // Unknown builder: match nothing (empty result)
+      andClauses.push({ _id: { $in: [] } });
+    }
+  }
+
+  // Price range - regular listings have a single price, builder projects a min/max range that must overlap
+  const priceMin = parseNumber(query, 'priceMin', errors);
+  const priceMax = parseNumber(query, 'priceMax', errors);
+  if (priceMin !== undefined || priceMax !== undefined) {
+    const priceRange = {};
+    if (priceMin !== undefined) priceRange.$gte = priceMin;
+    if (priceMax !== undefined) priceRange.$lte = priceMax;
+
+    const builderRange = {};
+    if (priceMin !== undefined) builderRange.maxPrice = { $gte: priceMin };
+    if (priceMax !== undefined) builderRange.minPrice = { $lte: priceMax };
+
+    andClauses.push({
+      $or: [
+        { type: 'regular', price: priceRange },
+        { type: 'builder', ...builderRange }
+      ]
+    });
+  }
+
+  // Area range (sq ft) - matched against the derived areaRange so builder unit sizes count too
+  const areaMin = parseNumber(query, 'areaMin', errors);
+  const areaMax = parseNumber(query, 'areaMax', errors);
+  if (areaMin !== undefined || areaMax !== undefined) {
+    const areaRange = {};
+    if (areaMin !== undefined) areaRange.$gte = areaMin;
+    if (areaMax !== undefined) areaRange.$lte = areaMax;
+
+    const derivedRange = {};
+    if (areaMin !== undefined) derivedRange['areaRange.max'] = { $gte: areaMin };
+    if (areaMax !== undefined) derivedRange['areaRange.min'] = { $lte: areaMax };
+
+    andClauses.push({
+      $or: [
+        { area: areaRange },
+        derivedRange
+      ]
+    });
+  }
+
+  // Possession date is stored as YYYY-MM, so string comparison orders correctly
+  const possessionBefore = parseMonth(query, 'possessionBefore', errors);
+  const possessionAfter = parseMonth(query, 'possessionAfter', errors);
+  if (possessionBefore || possessionAfter) {
+    filter.possessionDate = {};
+    if (possessionBefore) filter.possessionDate.$lte = possessionBefore;
+    if (possessionAfter) filter.possessionDate.$gte = possessionAfter;
+  }
+
+  // BHK configuration, e.g. bhk=3 or bhk=2,3
+  if (bhk) {
+    const counts = String(bhk).split(',').map(value => value.trim()).filter(Boolean);
+    if (counts.some(count => !/^\d+$/.test(count))) {
+      errors.push({ field: 'bhk', message: 'bhk must be a number or comma-separated list of numbers' });
+    } else if (counts.length) {
+      const bhkPattern = new RegExp(`(^|\\D)(${counts.join('|')})\\s*bhk`, 'i');
+      andClauses.push({
+        $or: [
+          { 'unitDetails.unitType': bhkPattern },
+          { unitType: bhkPattern },
+          { title: bhkPattern }
+        ]
+      });
+    }
+  }
+
+  if (unitType) {
+    const unitTypePattern = new RegExp(escapeRegex(unitType), 'i');
+    andClauses.push({
+      $or: [
+        { 'unitDetails.unitType': unitTypePattern },
+        { unitType: unitTypePattern }
+      ]
+    });
+  }
+
+  // Subcategory attributes, e.g. attr.furnishing=semi,full or attr.floorNumber.min=2
+  if (Object.keys(query).some(param => param.startsWith(ATTRIBUTE_FILTER_PREFIX))) {
+    const definitions = await attributeDefinitionsFor(filter.category, subcategory);
+    const attributeFilter = buildAttributeFilter(definitions, query);
+    errors.push(...attributeFilter.errors);
+    andClauses.push(...attributeFilter.clauses);
+  }
+
+  if (andClauses.length) {
+    filter.$and = andClauses;
+  }
+
+  return { filter, errors };
+}
+
+// Attribute definitions the attr.* filters can use: those of the searched subcategory,
+// otherwise of every subcategory in the searched category (or in all categories)
+const attributeDefinitionsFor = async (category, subcategory) => {
+  const categoryFilter = category instanceof mongoose.Types.ObjectId ? { _id: category } : {};
+  const categories = await Category.find(categoryFilter).select('deepSubcategories').lean();
+  const subcategories = categories
+    .flatMap(doc => doc.deepSubcategories || [])
+    .filter(sub => !subcategory || sub._id.toString() === String(subcategory));
+  return mergeAttributeDefinitions(subcategories);
+};
+
+/**
+ * Count matching properties per category, subcategory, locality, builder and price bucket.
+ * @param {Object} filter - Filter from buildPropertyFilter
+ * @returns {Promise<Object>} - Facets block for the listing response
+ */
+export async function getPropertyFacets(filter) {
+  const boundaries = [...PRICE_BUCKETS.map(bucket => bucket.min), Number.MAX_SAFE_INTEGER];
+
+  const [result] = await Managedproperty.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        subcategories: [
+          {
+            $group: {
+              _id: { category: '$category', subcategory: '$subcategory' },
+              name: { $first: '$subcategoryName' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { count: -1 } }
+        ],
+        localities: [
+          { $group: { _id: { city: '$city', location: '$location' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        builders: [
+          { $match: { builder: { $ne: null } } },
+          { $group: { _id: '$builder', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        priceBuckets: [
+          { $project: { effectivePrice: { $cond: [{ $eq: ['$type', 'builder'] }, '$minPrice', '$price'] } } },
+          {
+            $bucket: {
+              groupBy: '$effectivePrice',
+              boundaries,
+              default: 'unpriced',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  // Resolve names for the referenced documents
+  const categoryIds = result.categories.map(entry => entry._id).filter(Boolean);
+  const cityIds = [...new Set(result.localities.map(entry => String(entry._id.city)))].filter(isObjectIdString);
+  const builderIds = result.builders.map(entry => entry._id).filter(Boolean);
+
+  const [categories, cities, builders] = await Promise.all([
+    Category.find({ _id: { $in: categoryIds } }).select('name deepSubcategories').lean(),
+    City.find({ _id: { $in: cityIds } }).select('name localities').lean(),
+    Builder.find({ _id: { $in: builderIds } }).select('name slug').lean()
+  ]);
+  const categoriesById = new Map(categories.map(doc => [doc._id.toString(), doc]));
+  const citiesById = new Map(cities.map(doc => [doc._id.toString(), doc]));
+  const buildersById = new Map(builders.map(doc => [doc._id.toString(), doc]));
+
+  const bucketCounts = new Map(result.priceBuckets.map(entry => [entry._id, entry.count]));
+
+  return {
+    categories: result.categories.map(entry => ({
+      id: entry._id,
+      name: categoriesById.get(String(entry._id))?.name || null,
+      count: entry.count
+    })),
+    subcategories: result.subcategories.map(entry => {
+      const categoryDoc = categoriesById.get(String(entry._id.category));
+      const subcategoryDoc = categoryDoc?.deepSubcategories?.find(
+        sub => sub._id.toString() === entry._id.subcategory
+      );
+      return {
+        id: entry._id.subcategory,
+        categoryId: entry._id.category,
+        name: entry.name || subcategoryDoc?.name || null,
+        count: entry.count
+      };
+    }),
+    localities: result.localities.map(entry => {
+      const cityDoc = citiesById.get(String(entry._id.city));
+      const localityDoc = cityDoc?.localities?.find(loc => loc._id.toString() === entry._id.location);
+      return {
+        id: entry._id.location,
+        cityId: entry._id.city,
+        cityName: cityDoc?.name || null,
+        name: localityDoc?.name || null,
+        count: entry.count
+      };
+    }),
+    builders: result.builders.map(entry => {
+      const builderDoc = buildersById.get(String(entry._id));
+      return {
+        id: entry._id,
+        name: builderDoc?.name || null,
+        slug: builderDoc?.slug || null,
+        count: entry.count
+      };
+    }),
+    priceBuckets: [
+      ...PRICE_BUCKETS.map(bucket => ({ ...bucket, count: bucketCounts.get(bucket.min) || 0 })),
+      { key: 'unpriced', label: 'Price on request', min: null, max: null, count: bucketCounts.get('unpriced') || 0 }
+    ]
+  };
+}
+
+export default {
+  PRICE_BUCKETS,
+  PUBLISHED_FILTER,
+  buildPropertyFilter,
+  getPropertyFacets
+};
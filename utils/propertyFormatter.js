@@ -0,0 +1,91 @@
+import { convertToCloudFrontUrl } from './cloudfront.js';
+import { applyDocumentAccess } from './privateDocuments.js';
+
+// Shape a Managedproperty document for listing responses: resolves subcategory and
+// locality names from the populated category/city and converts images to CloudFront URLs
+export function formatPropertyForListing(property) {
+  const propertyObj = property.toObject ? property.toObject() : { ...property };
+  
+  // If subcategoryName is not set, try to populate it from the category
+  if (!propertyObj.subcategoryName && propertyObj.category && propertyObj.subcategory) {
+    try {
+      const category = propertyObj.category;
+      if (category.deepSubcategories) {
+        const subcategory = category.deepSubcategories.find(
+          sub => sub._id.toString() === propertyObj.subcategory
+        );
+        if (subcategory) {
+          propertyObj.subcategoryName = subcategory.name;
+        }
+      }
+    } catch (error) {
+      console.error('Error populating subcategory name:', error);
+    }
+  }
+  
+  // Populate locality name for location field
+  if (propertyObj.city && propertyObj.city.localities && propertyObj.location) {
+    try {
+      const locality = propertyObj.city.localities.find(
+        loc => loc._id.toString() === propertyObj.location
+      );
+      if (locality) {
+        propertyObj.localityName = locality.name;
+      }
+    } catch (error) {
+      console.error('Error populating locality name:', error);
+    }
+  }
+  
+  // Get display image based on property type
+  let displayImage = null;
+  if (propertyObj.type === 'regular') {
+    // For regular properties, use first project image
+    if (propertyObj.projectImages && propertyObj.projectImages.length > 0) {
+      displayImage = propertyObj.projectImages[0];
+    }
+  } else if (propertyObj.type === 'builder') {
+    // For builder properties, use wallpaper image
+    displayImage = propertyObj.wallpaperImage;
+  }
+  
+  // Convert display image to CloudFront URL
+  if (displayImage) {
+    propertyObj.displayImage = convertToCloudFrontUrl(displayImage);
+  }
+  
+  // Convert all image URLs to CloudFront URLs
+  if (propertyObj.projectImages) {
+    propertyObj.projectImages = propertyObj.projectImages.map(img => convertToCloudFrontUrl(img));
+  }
+  if (propertyObj.images) {
+    propertyObj.images = propertyObj.images.map(img => convertToCloudFrontUrl(img));
+  }
+  if (propertyObj.projectLogo) {
+    propertyObj.projectLogo = convertToCloudFrontUrl(propertyObj.projectLogo);
+  }
+  if (propertyObj.wallpaperImage) {
+    propertyObj.wallpaperImage = convertToCloudFrontUrl(propertyObj.wallpaperImage);
+  }
+  if (propertyObj.descriptionImage) {
+    propertyObj.descriptionImage = convertToCloudFrontUrl(propertyObj.descriptionImage);
+  }
+  if (propertyObj.highlightImage) {
+    propertyObj.highlightImage = convertToCloudFrontUrl(propertyObj.highlightImage);
+  }
+  if (propertyObj.floorPlan) {
+    propertyObj.floorPlan = convertToCloudFrontUrl(propertyObj.floorPlan);
+  }
+  if (propertyObj.masterPlan) {
+    propertyObj.masterPlan = convertToCloudFrontUrl(propertyObj.masterPlan);
+  }
+  if (propertyObj.brochure) {
+    propertyObj.brochure = convertToCloudFrontUrl(propertyObj.brochure);
+  }
+
+  // Listings are the same for everyone, so private documents stay locked here;
+  // signed URLs are only handed out by the detail endpoints
+  return applyDocumentAccess(propertyObj, null);
+}
+
+export default formatPropertyForListing;
@@ -0,0 +1,39 @@
+import { User } from '../models/users.js';
+import builderStatsService from '../services/builderStatsService.js';
+
+// Keep User.myProperties and the derived Builder fields in sync with Managedproperty documents.
+// Saves refresh the builder from the property post-save hook; deletes have to do it here.
+
+const builderIdOf = (property) => (
+  property && property.type === 'builder' && property.builder ? property.builder.toString() : null
+);
+
+// Link a newly created property to its owner
+export async function linkPropertyRelations(property) {
+  if (property.createdBy) {
+    await User.updateOne(
+      { _id: property.createdBy },
+      { $addToSet: { myProperties: property._id } }
+    );
+  }
+}
+
+// Remove a deleted property from its owner and recompute its builder's projects
+export async function unlinkPropertyRelations(property) {
+  if (property.createdBy) {
+    await User.updateOne(
+      { _id: property.createdBy },
+      { $pull: { myProperties: property._id } }
+    );
+  }
+
+  const builderId = builderIdOf(property);
+  if (builderId) {
+    await builderStatsService.refresh(builderId);
+  }
+}
+
+export default {
+  linkPropertyRelations,
+  unlinkPropertyRelations
+};
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import { toGeoPoint } from './geo.js';
+
+// Fields a client is allowed to set on a Managedproperty.
+// createdBy / createdByPhone always come from the authenticated user.
+export const EDITABLE_PROPERTY_FIELDS = [
+  'type',
+  'title',
+  'city',
+  'location',
+  'category',
+  'subcategory',
+  'subcategoryName',
+  'description',
+  'status',
+  'googleMapUrl',
+  'images',
+  'projectImages',
+  'price',
+  'propertyAction',
+  'area',
+  'locality',
+  'builder',
+  'projectName',
+  'projectLogo',
+  'wallpaperImage',
+  'fullAddress',
+  'about',
+  'reraNo',
+  'minPrice',
+  'maxPrice',
+  'possessionDate',
+  'landArea',
+  'descriptionImage',
+  'highlightImage',
+  'unitDetails',
+  'unitType',
+  'areaType',
+  'highlights',
+  'connectivityPoints',
+  'floorPlan',
+  'masterPlan',
+  'brochure',
+  'attributes'
+];
+
+// Pick only the editable fields from a request body
+export function pickPropertyFields(body = {}) {
+  const data = {};
+  for (const field of EDITABLE_PROPERTY_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  // Explicit coordinates take precedence over the ones parsed from googleMapUrl
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    data.geoLocation = toGeoPoint(body.latitude, body.longitude) || { invalid: true };
+  }
+  return data;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const isNonNegativeNumber = (value) => !isBlank(value) && !isNaN(Number(value)) && Number(value) >= 0;
+const isObjectId = (value) => !isBlank(value) && mongoose.Types.ObjectId.isValid(String(value));
+
+/**
+ * Validate a full property payload (for updates, pass the existing document merged with the changes).
+ * @param {Object} data - Property fields
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+export function validatePropertyData(data) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  // Common required fields
+  if (!['regular', 'builder'].includes(data.type)) {
+    addError('type', 'Type must be either "regular" or "builder"');
+  }
+  if (isBlank(data.title)) addError('title', 'Title is required');
+  if (isBlank(data.description)) addError('description', 'Description is required');
+  if (isBlank(data.location)) addError('location', 'Location is required');
+  if (isBlank(data.subcategory)) addError('subcategory', 'Subcategory is required');
+  if (!isObjectId(data.city)) addError('city', 'Valid city ID is required');
+  if (!isObjectId(data.category)) addError('category', 'Valid category ID is required');
+
+  if (data.status !== undefined && !['available', 'sold', 'rented'].includes(data.status)) {
+    addError('status', 'Status must be one of available, sold, rented');
+  }
+  if (data.geoLocation && data.geoLocation.invalid) {
+    addError('latitude', 'Latitude and longitude must be valid coordinates');
+  }
+  if (!isBlank(data.area) && !isNonNegativeNumber(data.area)) {
+    addError('area', 'Area must be a non-negative number');
+  }
+
+  if (data.type === 'regular') {
+    if (!isNonNegativeNumber(data.price)) {
+      addError('price', 'Valid price is required for regular properties');
+    }
+    if (!['Sale', 'Rent'].includes(data.propertyAction)) {
+      addError('propertyAction', 'Property action must be either "Sale" or "Rent"');
+    }
+  }
+
+  if (data.type === 'builder') {
+    if (!isObjectId(data.builder)) {
+      addError('builder', 'Valid builder ID is required for builder properties');
+    }
+    if (!isNonNegativeNumber(data.minPrice)) {
+      addError('minPrice', 'Valid minimum price is required for builder properties');
+    }
+    if (!isNonNegativeNumber(data.maxPrice)) {
+      addError('maxPrice', 'Valid maximum price is required for builder properties');
+    }
+    if (isNonNegativeNumber(data.minPrice) && isNonNegativeNumber(data.maxPrice) &&
+        Number(data.minPrice) > Number(data.maxPrice)) {
+      addError('maxPrice', 'Maximum price must be greater than or equal to minimum price');
+    }
+    if (!Array.isArray(data.unitDetails) || data.unitDetails.length === 0) {
+      addError('unitDetails', 'At least one unit detail is required for builder properties');
+    } else {
+      data.unitDetails.forEach((unit, index) => {
+        if (!unit || isBlank(unit.unitType)) {
+          addError(`unitDetails[${index}].unitType`, 'Unit type is required');
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  EDITABLE_PROPERTY_FIELDS,
+  pickPropertyFields,
+  validatePropertyData
+};
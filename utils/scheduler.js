@@ -0,0 +1,72 @@
+import logger from './logger.js';
+
+// Minimal in-process job scheduler (the app runs as a single PM2 fork instance)
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Run a job and log its outcome; a job never overlaps with its own previous run
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await job.task();
+      logger.info(`Scheduled job completed: ${name}`, { durationMs: Date.now() - startedAt, result });
+    } catch (error) {
+      logger.error(`Scheduled job failed: ${name}`, { error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Run a task every day at a local time
+   * @param {string} name - Job name
+   * @param {string} time - "HH:MM" (24h, server time)
+   * @param {Function} task - Async function
+   */
+  dailyAt(name, time, task) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    const job = { task, running: false, timer: null };
+    this.jobs.set(name, job);
+
+    const scheduleNext = () => {
+      const next = new Date();
+      next.setHours(hours || 0, minutes || 0, 0, 0);
+      if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+      job.timer = setTimeout(async () => {
+        await this.runJob(name);
+        scheduleNext();
+      }, next.getTime() - Date.now());
+      job.timer.unref();
+    };
+
+    scheduleNext();
+    logger.info(`Scheduled job registered: ${name} daily at ${time}`);
+  }
+
+  // Run a task at a fixed interval
+  every(name, intervalMs, task) {
+    const job = { task, running: false, timer: null };
+    this.jobs.set(name, job);
+
+    job.timer = setInterval(() => this.runJob(name), intervalMs);
+    job.timer.unref();
+    logger.info(`Scheduled job registered: ${name} every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopAll() {
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      clearInterval(job.timer);
+    }
+    this.jobs.clear();
+  }
+}
+
+export default new Scheduler();
@@ -0,0 +1,159 @@
+// Text search helpers: query normalization, typo-tolerant matching, scoring and highlighting
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'in', 'at', 'of', 'for', 'and', 'or', 'near', 'with', 'to']);
+
+// Lowercase, strip punctuation and split digit/letter boundaries ("3bhk" -> "3 bhk")
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Split a search query into unique, meaningful tokens
+export function tokenize(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  return [...new Set(words.filter(word => !STOP_WORDS.has(word)))];
+}
+
+export function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Number of typos tolerated for a token of the given length
+export function maxTyposFor(token) {
+  if (/^\d+$/.test(token) || token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+// Levenshtein distance, giving up early once it exceeds maxDistance
+export function levenshtein(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well a query token matches a single word.
+ * @returns {number} 1 for exact, 0.8 for prefix, 0.6 for a typo match, 0 otherwise
+ */
+export function matchWord(token, word) {
+  if (token === word) return 1;
+  if (token.length >= 3 && !/^\d+$/.test(token) && word.startsWith(token)) return 0.8;
+
+  const maxTypos = maxTyposFor(token);
+  if (maxTypos > 0 && levenshtein(token, word, maxTypos) <= maxTypos) return 0.6;
+  return 0;
+}
+
+// Best match of a token against any word of a text
+export function matchText(token, text) {
+  let best = 0;
+  for (const word of normalizeText(text).split(' ')) {
+    if (!word) continue;
+    best = Math.max(best, matchWord(token, word));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Score a set of named text fields against query tokens.
+ * @param {Object<string, string>} fields - Field name to text
+ * @param {Array<string>} tokens - Query tokens
+ * @param {Object<string, number>} weights - Field name to weight
+ * @returns {{score: number, matchedFields: Object<string, Array<string>>}}
+ */
+export function scoreFields(fields, tokens, weights) {
+  let total = 0;
+  let matchedTokens = 0;
+  const matchedFields = {};
+
+  for (const token of tokens) {
+    let best = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      if (!text) continue;
+      const quality = matchText(token, text);
+      if (quality === 0) continue;
+
+      (matchedFields[field] = matchedFields[field] || []).push(token);
+      best = Math.max(best, quality * (weights[field] || 1));
+    }
+    if (best > 0) {
+      total += best;
+      matchedTokens++;
+    }
+  }
+
+  // Reward listings that match more of the query
+  const coverage = tokens.length ? matchedTokens / tokens.length : 0;
+  return {
+    score: Math.round(total * coverage * 100) / 100,
+    matchedFields
+  };
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap words of the original text that match any token in <em> tags.
+ * Long texts are cut down to a snippet around the first match.
+ * The result is HTML: everything outside the tags is escaped.
+ */
+export function highlight(text, tokens, snippetLength = 160) {
+  const source = String(text || '');
+  let firstMatch = -1;
+
+  const marked = source.replace(/[A-Za-z0-9]+|[^A-Za-z0-9]+/g, (word, offset) => {
+    if (!/^[A-Za-z0-9]/.test(word)) return escapeHtml(word);
+    const parts = normalizeText(word).split(' ');
+    const isMatch = tokens.some(token => parts.some(part => matchWord(token, part) > 0));
+    if (!isMatch) return word;
+    if (firstMatch === -1) firstMatch = offset;
+    return `<em>${word}</em>`;
+  });
+
+  if (firstMatch === -1 || source.length <= snippetLength) return marked;
+
+  // Re-run on a window of the source so tags are never cut in half
+  const start = Math.max(0, firstMatch - Math.floor(snippetLength / 4));
+  const windowText = source.slice(start, start + snippetLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + snippetLength < source.length ? '…' : '';
+  return prefix + highlight(windowText, tokens, Infinity) + suffix;
+}
+
+export default {
+  normalizeText,
+  tokenize,
+  escapeRegex,
+  escapeHtml,
+  maxTyposFor,
+  levenshtein,
+  matchWord,
+  matchText,
+  scoreFields,
+  highlight
+};
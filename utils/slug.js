@@ -0,0 +1,69 @@
+// URL slug helpers
+
+// "DLF The Crest, Sector 54" -> "dlf-the-crest-sector-54"
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/g, '');
+}
+
+// Join slug parts, skipping parts already contained in the slug so far
+export function composeSlug(...parts) {
+  let slug = '';
+  for (const part of parts.map(slugify).filter(Boolean)) {
+    if (slug === part || slug.startsWith(`${part}-`) || slug.endsWith(`-${part}`) || slug.includes(`-${part}-`)) {
+      continue;
+    }
+    slug = slug ? `${slug}-${part}` : part;
+  }
+  return slug.slice(0, 120).replace(/-+$/g, '');
+}
+
+/**
+ * Find a slug not yet used by another document, appending -2, -3, ... on collision.
+ * @param {mongoose.Model} Model - Model to check against
+ * @param {string} base - Desired slug
+ * @param {Object} options - excludeId: document to ignore; fields: slug fields to check
+ * @returns {Promise<string>}
+ */
+export async function generateUniqueSlug(Model, base, { excludeId = null, fields = ['slug'] } = {}) {
+  const root = base || 'item';
+  let candidate = root;
+  let suffix = 2;
+
+  const isTaken = async (slug) => {
+    const query = { $or: fields.map(field => ({ [field]: slug })) };
+    if (excludeId) query._id = { $ne: excludeId };
+    return Model.exists(query);
+  };
+
+  while (await isTaken(candidate)) {
+    candidate = `${root}-${suffix++}`;
+  }
+  return candidate;
+}
+
+// Same as generateUniqueSlug for an in-memory list of used slugs (e.g. embedded localities)
+export function uniqueSlugFromList(base, usedSlugs) {
+  const root = base || 'item';
+  const used = new Set(usedSlugs);
+  let candidate = root;
+  let suffix = 2;
+  while (used.has(candidate)) {
+    candidate = `${root}-${suffix++}`;
+  }
+  return candidate;
+}
+
+export default {
+  slugify,
+  composeSlug,
+  generateUniqueSlug,
+  uniqueSlugFromList
+};
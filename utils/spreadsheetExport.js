@@ -0,0 +1,98 @@
+import ExcelJS from 'exceljs';
+import { toCsvRow } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Resolves once the response can take more data (or the client disconnected)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Cell value for a column; arrays are joined the way the bulk import splits them
+const columnValue = (column, doc) => {
+  const value = column.value(doc);
+  if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined && item !== '').join(' | ');
+  return value === undefined ? null : value;
+};
+
+/**
+ * Stream documents from a Mongoose query cursor to the response as CSV or XLSX.
+ * Rows are written as they are read, so the full result set is never held in memory.
+ * @param {Object} res - Express response
+ * @param {Object} options - format ('csv' | 'xlsx'), filename (without extension), sheetName,
+ *   columns [{ header, value(doc), width? }], cursor (Mongoose QueryCursor)
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function streamSpreadsheet(res, { format, filename, sheetName = 'Export', columns, cursor }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Stop reading from MongoDB if the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  let rowCount = 0;
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.columns = columns.map((column, index) => ({
+        header: column.header,
+        key: String(index),
+        width: column.width || Math.max(12, column.header.length + 2)
+      }));
+      worksheet.getRow(1).font = { bold: true };
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        worksheet.addRow(columns.map(column => columnValue(column, doc))).commit();
+        rowCount++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      // BOM so Excel opens the UTF-8 file with the right encoding
+      res.write('\uFEFF' + toCsvRow(columns.map(column => column.header)));
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        if (!res.write(toCsvRow(columns.map(column => columnValue(column, doc))))) {
+          await waitForDrain(res);
+        }
+        rowCount++;
+      }
+
+      res.end();
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return rowCount;
+}
+
+// Timestamped export file name, e.g. properties-2025-01-31
+export function exportFilename(prefix) {
+  return `${prefix}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+export default {
+  EXPORT_FORMATS,
+  streamSpreadsheet,
+  exportFilename
+};